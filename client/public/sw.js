@@ -0,0 +1,157 @@
+// client/public/sw.js
+// Service worker for offline field mode. Vite copies it untouched to the site
+// root (/sw.js), so it sees every request the map makes. Three caches:
+//   shell — index.html and the built /assets/ it pulls in; the page is network
+//           first (falls back to the copy), assets cache first (hashed names)
+//   tiles — OpenStreetMap tiles saved by "Save area offline" (section 20 of
+//           main.js fills it); served cache first under a subdomain-free key
+//   api   — the last good answer to each map GET (/api/markers, /api/tips, …),
+//           used only when the network is out; what multiplies with use (map
+//           viewports, tip lists, single records) is capped per group, the
+//           least recently fetched go first
+//   saved markers — one answer per "Save area offline", written by the page and
+//           kept until "Remove saved map"
+// Writes are never handled here: the page queues them in IndexedDB and sends
+// them through the normal endpoints once it is back online.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `eg-shell-${VERSION}`;
+const TILE_CACHE = 'eg-tiles';
+const API_CACHE = 'eg-api';
+const SAVED_MARKERS_CACHE = 'eg-saved-markers';
+// Groups of cached answers that grow as the map is used, each with its own cap;
+// the fixed ones (/api/config, /api/categories, /api/auth/me) are not limited
+const API_LIMITS = [
+  { max: 50, test: (url) => url.pathname === '/api/markers' && url.search !== '' },
+  { max: 100, test: (url) => /^\/api\/(markers\/|tips(\/|$))/.test(url.pathname) }
+];
+
+const TILE_HOST = /^([abc]\.)?tile\.openstreetmap\.org$/;
+const API_CACHED = /^\/api\/(markers|tips|categories|config|auth\/me)(\/|$)/;
+
+// a.tile… / b.tile… / c.tile… all serve the same image
+const tileKey = (url) => `https://tile.openstreetmap.org${url.pathname}`;
+
+const offline = () => new Response(JSON.stringify({
+  error: { code: 'offline', message: 'You are offline and this was not saved for offline use' }
+}), { status: 503, headers: { 'Content-Type': 'application/json' } });
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const page = await fetch('/', { cache: 'no-store' });
+    if (!page.ok) return;
+    const html = await page.clone().text();
+    await cache.put('/', page);
+
+    // index.html names the entry chunks; their CSS names the images and fonts
+    const assets = new Set([...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1]));
+    for (const url of [...assets]) {
+      if (!url.endsWith('.css')) continue;
+      const css = await fetch(url).then(r => r.text()).catch(() => '');
+      for (const m of css.matchAll(/url\(["']?(\/assets\/[^"')]+)["']?\)/g)) assets.add(m[1]);
+    }
+    await cache.addAll([...assets]);
+  })().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name.startsWith('eg-shell-') && name !== SHELL_CACHE) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (TILE_HOST.test(url.hostname)) return event.respondWith(tile(req, url));
+  if (url.origin !== self.location.origin) return;
+  if (req.mode === 'navigate' && !/^\/(api|uploads)\//.test(url.pathname)) return event.respondWith(page(req));
+  if (url.pathname.startsWith('/assets/')) return event.respondWith(asset(req));
+  if (API_CACHED.test(url.pathname)) return event.respondWith(api(req, url));
+});
+
+async function page(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put('/', res.clone());
+    return res;
+  } catch (err) {
+    const copy = await cache.match('/');
+    if (copy) return copy;
+    throw err;
+  }
+}
+
+async function asset(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) await cache.put(req, res.clone());
+  return res;
+}
+
+// Only saved areas are kept; tiles browsed online go to the browser's HTTP cache as before
+async function tile(req, url) {
+  const hit = await (await caches.open(TILE_CACHE)).match(tileKey(url));
+  return hit || fetch(req);
+}
+
+async function api(req, url) {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) {
+      // Re-added at the end, so keys() lists the least recently fetched first
+      await cache.delete(req);
+      await cache.put(req, res.clone());
+      const group = API_LIMITS.find(g => g.test(url));
+      if (group) await trim(cache, group);
+    }
+    return res;
+  } catch {
+    const hit = await cache.match(req);
+    if (hit) return hit;
+    if (url.pathname === '/api/markers') return markersFromCache(cache, url);
+    return offline();
+  }
+}
+
+// Every pan or zoom is a new bbox (and each page of it a new cursor); every
+// marker or gauge opened adds its tips
+async function trim(cache, { test, max }) {
+  const keys = (await cache.keys()).filter(key => test(new URL(key.url)));
+  for (const key of keys.slice(0, -max)) await cache.delete(key);
+}
+
+// A viewport that was never loaded as such: every cached marker inside its bbox,
+// saved areas first (later answers win, so a marker's newest copy is the one shown)
+async function markersFromCache(cache, url) {
+  const [w, s, e, n] = (url.searchParams.get('bbox') || '').split(',').map(Number);
+  const inBox = [w, s, e, n].every(Number.isFinite)
+    ? (m) => m.lon >= w && m.lon <= e && m.lat >= s && m.lat <= n
+    : () => true;
+
+  const byId = new Map();
+  for (const source of [await caches.open(SAVED_MARKERS_CACHE), cache]) {
+    for (const key of await source.keys()) {
+      if (new URL(key.url).pathname !== '/api/markers') continue;
+      const list = await (await source.match(key)).json().catch(() => null);
+      if (!Array.isArray(list)) continue;
+      for (const m of list) if (m?.id) byId.set(m.id, m);
+    }
+  }
+  if (!byId.size) return offline();
+
+  const markers = [...byId.values()].filter(inBox);
+  return new Response(JSON.stringify(markers), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
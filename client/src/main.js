@@ -10,13 +10,14 @@ import 'leaflet-control-geocoder/dist/Control.Geocoder.css';
 import '../style.css';
 import '../fonts.css';
 // client/src/main.js  (top of file)
-window.APP_CONFIG = { OPENCAGE_ENABLED: false, NASA_API_KEY: '' };
+window.APP_CONFIG = { OPENCAGE_ENABLED: false, NASA_API_KEY: '', TIP_EXPIRY: null };
 
 fetch('/api/config')
   .then(r => r.json())
   .then(c => {
     window.APP_CONFIG.OPENCAGE_ENABLED = !!c?.opencageEnabled;
     window.APP_CONFIG.NASA_API_KEY     = c?.nasaKey || '';
+    window.APP_CONFIG.TIP_EXPIRY       = c?.tipExpiry?.defaults || null;
     injectNasaCard();            // ← move it here
   })
   .catch(() => {
@@ -581,74 +582,273 @@ addBackToMapIfSmall();
 })();
 
 
-// 3) Upload helper for tip photos
+// 3) Upload helper for tip photos (+ the account's photo storage line under the tip form)
 async function uploadTipPhoto(file) {
   const fd = new FormData();
   fd.append("photo", file);
   const resp = await fetch("/api/tip-photos", { method: "POST", body: fd });
-  if (!resp.ok) throw new Error(`Upload failed: ${await resp.text()}`);
-  const data = await resp.json();
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`Upload failed: ${apiErrorMessage(data, resp)}`);
+  renderPhotoQuota(data.quota);
   return data.url;
 }
 
-// 4) State + user
+const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+
+/** { usedBytes, quotaBytes, remainingBytes } from the server; hidden when there is no limit */
+function renderPhotoQuota(q) {
+  const el = document.getElementById('tip-photo-quota');
+  if (!el) return;
+  el.hidden = !q?.quotaBytes;
+  if (!q?.quotaBytes) return;
+  el.textContent = `Photo storage: ${formatMB(q.remainingBytes)} of ${formatMB(q.quotaBytes)} left`;
+  el.classList.toggle('full', q.remainingBytes < 1024 * 1024);
+}
+
+async function loadPhotoQuota() {
+  if (!userId) return renderPhotoQuota(null);
+  const res = await fetch('/api/uploads/quota').catch(() => null);
+  renderPhotoQuota(res?.ok ? await res.json().catch(() => null) : null);
+}
+
+// 4) State + user (the session cookie decides who we are; see section 14)
 let activeType = null, activeId = null;
-let userId = localStorage.getItem('egUserId');
-if (!userId) {
-  const gen = (crypto && crypto.randomUUID) ? crypto.randomUUID() : (Math.random().toString(36).slice(2) + Date.now());
-  userId = gen; localStorage.setItem('egUserId', userId);
+let currentUser = null;   // { id, username, authorId, isAdmin, blocked } once signed in
+let userId = null;
+// Random id this browser used before accounts existed; claimed on first sign-in
+const ANON_ID_KEY = 'egUserId';
+// Mirrors the server rule: owners (or anyone, for records saved without an owner) may edit.
+// Records name their owner by authorId (never a user id); /api/auth/me tells us ours.
+const isMine = (authorId) => Boolean(userId) && (!authorId || authorId === currentUser?.authorId);
+async function mutationRefused(res) {
+  if (res.status === 401) { alert('Sign in first (top of the sidebar).'); return true; }
+  if (res.status === 403) {
+    const data = await res.clone().json().catch(() => ({}));
+    alert(data.error?.code === 'account_blocked'
+      ? 'Your account has been blocked from adding or changing anything.'
+      : 'Only the person who created this can change it.');
+    return true;
+  }
+  return false;
+}
+
+// API errors look like { error: { code, message, fields: { name: message } } }
+const apiErrorMessage = (data, res) => data?.error?.message || `HTTP ${res.status}`;
+
+/** Put each field error under the form control with that name (the rest at the bottom); no args clears */
+function showFieldErrors(form, fields = {}) {
+  if (!form) return;
+  form.querySelectorAll('.field-error').forEach(el => el.remove());
+  form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+  for (const [name, message] of Object.entries(fields)) {
+    const note = document.createElement('small');
+    note.className = 'field-error';
+    note.setAttribute('role', 'alert');
+    note.textContent = message;
+    const controls = form.querySelectorAll(`[name="${CSS.escape(name)}"]`);
+    controls.forEach(el => el.setAttribute('aria-invalid', 'true'));
+    const anchor = controls.length ? (controls[0].closest('label, .row') || controls[0]) : null;
+    if (anchor) anchor.after(note);
+    else form.append(note);
+  }
+}
+
+/** After a form submit: true (errors shown inline / alerted) when the server refused it */
+async function formRejected(res, form) {
+  if (await mutationRefused(res)) return true;
+  if (res.ok) { showFieldErrors(form); return false; }
+  const data = await res.clone().json().catch(() => ({}));
+  showFieldErrors(form, data.error?.fields || { _: apiErrorMessage(data, res) });
+  return true;
 }
 const TIP_SORT_KEY = 'egTipSort';
 const getTipSort = () => localStorage.getItem(TIP_SORT_KEY) || 'newest';
 const setTipSort = (v) => localStorage.setItem(TIP_SORT_KEY, v);
+// Reply threads the user folded away (by parent tip id); kept across re-renders
+const collapsedThreads = new Set();
+const TIP_PAGE_SIZE = 20;        // top-level tips (with their replies) per /api/tips page
+let tipMoreObserver = null;      // watches the end of the tips list in the open details view
+let showExpiredTips = false;     // the "Show expired" archive toggle in the tips toolbar
+let liveTipList = null;          // { key, upsert, remove, reload } for the open tips list (section 19)
+
+// Tip expiry: presets match the server's; per-kind defaults come from /api/config
+const TIP_EXPIRY_LABELS = { '24h': '24 hours', '3d': '3 days', '7d': '7 days', '30d': '30 days' };
+
+/** "45m left" / "5h left" / "3d left" / "Expired" */
+function expiryCountdown(expiresAt, now = Date.now()) {
+  const mins = Math.ceil((Number(expiresAt) - now) / 60000);
+  if (mins <= 0) return 'Expired';
+  if (mins < 60) return `${mins}m left`;
+  const hours = Math.floor(mins / 60);
+  return hours < 48 ? `${hours}h left` : `${Math.floor(hours / 24)}d left`;
+}
+const expiryPillHTML = (t) => t.expiresAt == null ? '' : `
+  <span class="pill pill-expiry ${t.expired ? 'is-expired' : ''}" data-expires-at="${Number(t.expiresAt)}"
+        title="${t.expired ? 'Expired' : 'Expires'} ${new Date(t.expiresAt).toLocaleString()}">⏳ ${expiryCountdown(t.expiresAt)}</span>`;
+
+// Countdown pills tick over once a minute
+setInterval(() => {
+  const now = Date.now();
+  document.querySelectorAll('.pill-expiry[data-expires-at]').forEach(el => {
+    el.textContent = `⏳ ${expiryCountdown(el.dataset.expiresAt, now)}`;
+    el.classList.toggle('is-expired', Number(el.dataset.expiresAt) <= now);
+  });
+}, 60 * 1000);
+
+// Structured observations on gauge tips (field + value keys match src/observations.js)
+const OBSERVATION_FIELDS = {
+  clarity: { label: 'Clarity', values: { clear: 'Clear', stained: 'Stained', murky: 'Murky', muddy: 'Muddy' } },
+  hazard: {
+    label: 'Hazard',
+    values: { none: 'None seen', strainer: 'Strainer', logjam: 'Logjam', debris: 'Debris', rocks: 'Exposed rocks', dam: 'Low-head dam', other: 'Other' }
+  },
+  access: { label: 'Access', values: { open: 'Open', limited: 'Limited', closed: 'Closed' } },
+  level: { label: 'Level vs. gauge', values: { below: 'Lower than reported', matches: 'Matches the gauge', above: 'Higher than reported' } }
+};
+const observationLabel = (field, value) => OBSERVATION_FIELDS[field]?.values[value] || value;
+
+function observationFieldsHTML() {
+  return `
+    <details class="tip-observation">
+      <summary>Structured observation</summary>
+      ${Object.entries(OBSERVATION_FIELDS).map(([field, { label, values }]) => `
+        <label>${label} <select name="observation.${field}">
+          <option value="">—</option>
+          ${Object.entries(values).map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+        </select></label>`).join('')}
+    </details>`;
+}
+/** The picked fields → { field: value }, or null when nothing is picked */
+function observationBody(form) {
+  const obs = {};
+  for (const field of Object.keys(OBSERVATION_FIELDS)) {
+    const v = form.querySelector(`[name="observation.${field}"]`)?.value;
+    if (v) obs[field] = v;
+  }
+  return Object.keys(obs).length ? obs : null;
+}
+const observationChipsHTML = (obs) => !obs ? '' : `
+  <div class="tip-observation-chips">${Object.keys(OBSERVATION_FIELDS).filter(f => obs[f]).map(f =>
+    `<span class="obs-chip obs-${f}" title="${OBSERVATION_FIELDS[f].label}">${escapeHTML(observationLabel(f, obs[f]))}</span>`).join('')}</div>`;
+
+/** GET /api/tips/summary → "3 reports in the last 48h: clarity murky, hazard strainer" */
+function observationSummaryText({ reports, hours, fields }) {
+  if (!reports) return '';
+  const parts = Object.keys(OBSERVATION_FIELDS)
+    .filter(f => fields[f]?.length)
+    .map(f => `${OBSERVATION_FIELDS[f].label.toLowerCase()} ${observationLabel(f, fields[f][0].value).toLowerCase()}`);
+  return `${reports} ${reports === 1 ? 'report' : 'reports'} in the last ${hours}h: ${parts.join(', ')}`;
+}
+
+/** Expiry picker for a tip form: presets, never, or a date (the date input shows when picked) */
+function expiryPickerHTML(firstLabel) {
+  return `
+    <div class="tip-expiry-row">
+      <label>Expires <select name="expiresIn">
+        <option value="">${escapeHTML(firstLabel)}</option>
+        ${Object.entries(TIP_EXPIRY_LABELS).map(([v, label]) => `<option value="${v}">${label}</option>`).join('')}
+        <option value="never">Never</option>
+        <option value="date">On a date…</option>
+      </select></label>
+      <input type="date" name="expiresAt" aria-label="Expiry date" hidden>
+    </div>`;
+}
+function wireExpiryPicker(form) {
+  const sel = form.querySelector('[name="expiresIn"]');
+  const day = form.querySelector('[name="expiresAt"]');
+  sel?.addEventListener('change', () => {
+    day.hidden = sel.value !== 'date';
+    day.min = new Date().toLocaleDateString('en-CA');   // YYYY-MM-DD, local
+    if (!day.hidden) day.focus();
+  });
+}
+/** The picker's choice as tip body fields; {} leaves it to the server (default / unchanged) */
+function expiryBody(form) {
+  const choice = form.querySelector('[name="expiresIn"]')?.value;
+  if (!choice) return {};
+  if (choice !== 'date') return { expiresIn: choice };
+  const day = form.querySelector('[name="expiresAt"]')?.value;
+  // A picked day lasts until its end, local time
+  return { expiresAt: day ? new Date(`${day}T23:59:59`).toISOString() : '' };
+}
 
 let currentMarkerData = null;
 const escapeHTML = (s) => (s ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
 
+/**
+ * src/srcset attributes for an uploaded photo. `variants` ({ thumb, display, full: { url, width } })
+ * comes with every photo processed on upload; older uploads only have their one url.
+ */
+function photoSrcAttrs(url, variants, sizes) {
+  if (!variants) return `src="${escapeHTML(url)}"`;
+  const srcset = ['thumb', 'display', 'full'].filter(v => variants[v])
+    .map(v => `${escapeHTML(variants[v].url)} ${variants[v].width}w`).join(', ');
+  return `src="${escapeHTML(variants.display?.url || url)}" srcset="${srcset}" sizes="${sizes}"`;
+}
+const photoThumbUrl = (url, variants) => variants?.thumb?.url || url;
+
 // 5) Category helpers (custom markers)
-const CATEGORY_META = {
-  plant:   { label: 'Plant',   glyph: '🌿', class: 'mk--plant'   },
-  history: { label: 'History', glyph: '🏛', class: 'mk--history' },
-  misc:    { label: 'Misc',    glyph: '📍', class: 'mk--misc'    }
+// Categories come from /api/categories (built-ins + user-defined); these are
+// only the fallback until that loads.
+let CATEGORY_META = {
+  plant:   { label: 'Plant',   glyph: '🌿', color: '#2e7d32' },
+  history: { label: 'History', glyph: '🏛', color: '#6d4c41' },
+  misc:    { label: 'Misc',    glyph: '📍', color: '#d219b0' }
 };
 
-// Inline SVGs so markers render the same on all platforms
-const SVG_ICONS = {
-  plant: `
-    <svg viewBox="0 0 24 24" class="mk__svg" aria-hidden="true">
-      <path fill="#2e7d32" d="M12 2c-3.5 2.5-5 5.5-5 9 0 3.9 2.6 7 5 9 2.4-2 5-5.1 5-9 0-3.5-1.5-6.5-5-9z"/>
-    </svg>`,
-  history: `
-    <svg viewBox="0 0 24 24" class="mk__svg" aria-hidden="true">
-      <path fill="#6d4c41" d="M12 2 4 6h16L12 2zm-7 8h14v2H5v-2zm2 4h10v6H7v-6z"/>
-    </svg>`,
-  misc: `
-    <svg viewBox="0 0 24 24" class="mk__svg" aria-hidden="true">
-      <path fill="#d219b0" d="M12 2a7 7 0 0 1 7 7c0 5-7 13-7 13S5 14 5 9a7 7 0 0 1 7-7zm0 9.5a2.5 2.5 0 1 0 0-5 2.5 2.5 0 0 0 0 5z"/>
-    </svg>`
-};
+async function loadCategories() {
+  try {
+    const r = await fetch('/api/categories');
+    if (!r.ok) return;
+    const list = await r.json();
+    if (Array.isArray(list) && list.length) CATEGORY_META = Object.fromEntries(list.map(c => [c.key, c]));
+  } catch (e) {
+    console.warn('categories fetch failed', e);
+  }
+}
+const categoriesReady = loadCategories();
 
+// Known keys match case-insensitively; anything else keeps its stored value
 function normalizeCategory(raw){
-  const k = String(raw||'').trim().toLowerCase();
-  return (k in CATEGORY_META) ? k : (['plant','history','misc'].includes(k) ? k : 'misc');
+  const k = String(raw||'').trim();
+  if (!k) return 'misc';
+  return (k.toLowerCase() in CATEGORY_META) ? k.toLowerCase() : k;
 }
-function categoryLabel(cat){ return CATEGORY_META[cat]?.label || 'Misc'; }
-function categoryGlyph(cat){ return CATEGORY_META[cat]?.glyph || '📍'; }
+// Unknown categories borrow the misc look but keep their own name
+const categoryMeta = (cat) => CATEGORY_META[cat] || { ...(CATEGORY_META.misc || { glyph: '📍', color: '#d219b0' }), label: cat, svg: null };
+function categoryLabel(cat){ return categoryMeta(cat).label || 'Misc'; }
+function categoryGlyph(cat){ return categoryMeta(cat).glyph || '📍'; }
 
 function makeCategoryIcon(cat){
-  const key  = normalizeCategory(cat);
-  const meta = CATEGORY_META[key] || CATEGORY_META.misc;
-  const svg  = SVG_ICONS[key]     || SVG_ICONS.misc;
+  const meta = categoryMeta(normalizeCategory(cat));
+  // meta.svg is sanitized server-side (src/svgSanitize.js)
+  const inner = meta.svg
+    ? meta.svg.replace('<svg', '<svg class="mk__svg" aria-hidden="true"')
+    : `<span class="mk__glyph" aria-hidden="true">${escapeHTML(meta.glyph || '📍')}</span>`;
 
   return L.divIcon({
     className: 'mk-wrap',
-    html: `<div class="mk ${meta.class}" role="img" aria-label="${meta.label}">${svg}</div>`,
+    html: `<div class="mk" style="border-color:${escapeHTML(meta.color || '#777')}" role="img" aria-label="${escapeHTML(meta.label)}">${inner}</div>`,
     iconSize: [28, 28],
     iconAnchor: [14, 28],
     popupAnchor: [0, -28]
   });
 }
 
+// Radio list (new-marker popup) / <option>s (edit form) built from CATEGORY_META.
+// A stored category that isn't in the list is offered as-is so saving keeps it.
+function categoryRadiosHTML(selected){
+  return Object.entries(CATEGORY_META).map(([key, meta]) =>
+    `<label><input type="radio" name="category" value="${escapeHTML(key)}"${key === selected ? ' checked' : ''}> ${escapeHTML(meta.glyph)} ${escapeHTML(meta.label)}</label>`
+  ).join('');
+}
+function categoryOptionsHTML(selected){
+  const known = Object.entries(CATEGORY_META).map(([key, meta]) =>
+    `<option value="${escapeHTML(key)}"${key === selected ? ' selected' : ''}>${escapeHTML(meta.glyph)} ${escapeHTML(meta.label)}</option>`);
+  if (selected && !(selected in CATEGORY_META)) known.unshift(`<option value="${escapeHTML(selected)}" selected>${escapeHTML(selected)} (not in list)</option>`);
+  return known.join('');
+}
+
 // Inline SVG USGS droplet icon (asset-free)
 const USGS_ICON = L.divIcon({
   className: 'mk-wrap',
@@ -838,6 +1038,98 @@ function addBackToMapIfSmall() {
 /* ============================
    Details pane + Perceptacle
    ============================ */
+const HISTORY_ACTIONS = { baseline: 'Before history', create: 'Created', update: 'Edited', publish: 'Published', restore: 'Restored' };
+const HISTORY_FIELDS = { title: 'Title', description: 'Description', category: 'Category', lat: 'Latitude', lon: 'Longitude', text: 'Text', photoUrl: 'Photo', status: 'Status', expiresIn: 'Expiry', expiresAt: 'Expires', observation: 'Observation' };
+
+// Word-level diff (LCS) → HTML with <del>/<ins>; falls back to old/new for very long texts
+function diffWordsHTML(a, b) {
+  const A = String(a ?? '').split(/(\s+)/).filter(Boolean);
+  const B = String(b ?? '').split(/(\s+)/).filter(Boolean);
+  if (A.length * B.length > 250000) {
+    return `<del>${escapeHTML(A.join(''))}</del> <ins>${escapeHTML(B.join(''))}</ins>`;
+  }
+  const L = Array.from({ length: A.length + 1 }, () => new Uint16Array(B.length + 1));
+  for (let i = A.length - 1; i >= 0; i--) {
+    for (let j = B.length - 1; j >= 0; j--) {
+      L[i][j] = A[i] === B[j] ? L[i + 1][j + 1] + 1 : Math.max(L[i + 1][j], L[i][j + 1]);
+    }
+  }
+  let out = '', i = 0, j = 0;
+  while (i < A.length || j < B.length) {
+    if (i < A.length && j < B.length && A[i] === B[j]) { out += escapeHTML(A[i]); i++; j++; }
+    else if (j < B.length && (i >= A.length || L[i][j + 1] >= L[i + 1][j])) { out += `<ins>${escapeHTML(B[j++])}</ins>`; }
+    else { out += `<del>${escapeHTML(A[i++])}</del>`; }
+  }
+  return out;
+}
+
+function renderRevisionChange({ field, from, to }) {
+  const label = HISTORY_FIELDS[field] || field;
+  let body;
+  if (field === 'photoUrl') body = !to ? 'removed' : (from ? 'replaced' : 'added');
+  else if (field === 'expiresAt') {
+    const when = (ms) => (ms == null ? 'never' : new Date(ms).toLocaleString());
+    body = `<del>${escapeHTML(when(from))}</del> → <ins>${escapeHTML(when(to))}</ins>`;
+  } else if (field === 'observation') {
+    const describe = (obs) => Object.keys(OBSERVATION_FIELDS).filter(f => obs?.[f])
+      .map(f => `${OBSERVATION_FIELDS[f].label}: ${observationLabel(f, obs[f])}`).join(', ') || 'none';
+    body = `<del>${escapeHTML(describe(from))}</del> → <ins>${escapeHTML(describe(to))}</ins>`;
+  }
+  else if (field === 'text' || field === 'description' || field === 'title') body = diffWordsHTML(from, to);
+  else body = `${from == null ? '—' : `<del>${escapeHTML(String(from))}</del>`} → <ins>${escapeHTML(String(to ?? '—'))}</ins>`;
+  return `<div class="history-change"><span class="history-field">${escapeHTML(label)}:</span> ${body}</div>`;
+}
+
+/** Swipeable strip of a marker's gallery photos (scroll-snap; arrows for mouse users) */
+function markerGalleryHTML(m) {
+  const photos = m?.photos || [];
+  if (!photos.length) return '';
+  return `
+    <div class="marker-gallery">
+      <div class="gallery-track">
+        ${photos.map((p, i) => `
+          <figure class="gallery-slide${p.id === m.coverPhotoId ? ' is-cover' : ''}">
+            <a href="${escapeHTML(p.url)}" target="_blank" rel="noopener">
+              <img ${photoSrcAttrs(p.url, p.variants, '(max-width: 720px) 90vw, 400px')} alt="${escapeHTML(m.title)} — photo ${i + 1}" loading="lazy">
+            </a>
+          </figure>`).join('')}
+      </div>
+      ${photos.length > 1 ? `
+      <div class="gallery-nav">
+        <button type="button" class="gallery-prev" aria-label="Previous photo">‹</button>
+        <span class="gallery-count">1 / ${photos.length}</span>
+        <button type="button" class="gallery-next" aria-label="Next photo">›</button>
+      </div>` : ``}
+    </div>`;
+}
+
+function wireGallery(root) {
+  const gallery = root?.querySelector('.marker-gallery');
+  const track = gallery?.querySelector('.gallery-track');
+  if (!track) return;
+  const count = gallery.querySelector('.gallery-count');
+  const total = track.children.length;
+  const step = (dir) => track.scrollBy({ left: dir * track.clientWidth, behavior: 'smooth' });
+  gallery.querySelector('.gallery-prev')?.addEventListener('click', () => step(-1));
+  gallery.querySelector('.gallery-next')?.addEventListener('click', () => step(1));
+  track.addEventListener('scroll', () => {
+    if (count) count.textContent = `${Math.round(track.scrollLeft / track.clientWidth) + 1} / ${total}`;
+  }, { passive: true });
+}
+
+/** The #marker-info block for a custom marker */
+function customMarkerInfoHTML(m) {
+  const cat = normalizeCategory(m.category);
+  return `
+    <h1 class="section-title">${escapeHTML(m.title)}</h1>
+    ${markerGalleryHTML(m)}
+    <p><strong>Category:</strong> ${escapeHTML(categoryLabel(cat))} ${escapeHTML(categoryGlyph(cat))}</p>
+    <p>${escapeHTML(m.description || '')}</p>
+    ${m.observedAt != null ? `<p><strong>Seen:</strong> ${new Date(m.observedAt).toLocaleString()}</p>` : ''}
+    <p><em>${new Date(m.timestamp).toLocaleString()}</em></p>
+  `;
+}
+
 function showDetails(html, coords) {
   const pane = document.getElementById('pane-details-content');
 
@@ -857,10 +1149,13 @@ function showDetails(html, coords) {
     </div>
     ${activeType === 'custom' ? `
       <div class="hover-controls">
+        <button class="hover-btn" id="btn-history-marker" title="Edit history">🕘</button>
+        ${isMine(currentMarkerData?.authorId) ? `
         <button class="hover-btn" id="btn-edit-marker" title="Edit marker">✏️</button>
-        <button class="hover-btn" id="btn-delete-marker" title="Delete marker">🗑</button>
+        <button class="hover-btn" id="btn-delete-marker" title="Delete marker">🗑</button>` : ``}
       </div>` : ``}
   </div>
+  <div id="history-view" hidden></div>
 `;
 
   const infoBlock = `<div id="marker-info">${html}</div>`;
@@ -875,6 +1170,11 @@ function showDetails(html, coords) {
   </div>
 `;
 
+  const defaultExpiry = window.APP_CONFIG.TIP_EXPIRY?.[activeType];
+  const defaultExpiryLabel = window.APP_CONFIG.TIP_EXPIRY
+    ? `Default (${defaultExpiry ? TIP_EXPIRY_LABELS[defaultExpiry] || defaultExpiry : 'never'})`
+    : 'Default';
+
   pane.innerHTML = `
   ${infoBlock}
   ${metaBlock}
@@ -882,11 +1182,15 @@ function showDetails(html, coords) {
   <p id="w3w-footer"></p>
   <hr/>
   <h1 class="section-title">Perceptacle</h1>
+  ${activeType === 'usgs' ? '<p id="tip-obs-summary" hidden></p>' : ''}
   <form id="tip-inline-form">
-    <textarea id="tip-inline-text" rows="3" placeholder="Add an observation… " style="flex:1;width:100%"></textarea>
-    <input id="tip-inline-file" type="file" accept="image/*" style="display:none" />
+    <textarea id="tip-inline-text" name="text" rows="3" placeholder="Add an observation… " style="flex:1;width:100%"></textarea>
+    ${activeType === 'usgs' ? observationFieldsHTML() : ''}
+    ${expiryPickerHTML(defaultExpiryLabel)}
+    <input id="tip-inline-file" type="file" accept="image/*,.heic,.heif" style="display:none" />
     <button type="button" id="tip-attach-btn" title="Attach photo">📎</button>
     <button type="submit" id="tip-preview-btn">Preview</button>
+    <small id="tip-photo-quota" hidden></small>
   </form>
 
   <div id="tip-toolbar">
@@ -894,15 +1198,20 @@ function showDetails(html, coords) {
     <select id="tip-sort">
       <option value="newest">Newest</option>
       <option value="oldest">Oldest</option>
+      <option value="helpful">Most helpful</option>
     </select>
+    <label><input type="checkbox" id="tip-show-expired"> Show expired</label>
   </div>
 
+  <ul id="tip-queued-list" hidden></ul>
   <ul id="tip-inline-list"></ul>
+  <div id="tip-more" hidden><button type="button" id="tip-more-btn">Load more tips</button></div>
 `;
 document.getElementById('btn-return-map')?.addEventListener('click', minimizePanel);
 addBackToMapIfSmall();
 expandPanel();           
 sidebar.open('details'); // keep this, so the panel opens after selecting a marker
+wireGallery(pane);
 
   const [lat, lon] = (pane.dataset.coords || '').split(',').map(Number);
   const listEl = () => document.getElementById('api-result-list');
@@ -979,6 +1288,13 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
     sortSel.value = getTipSort();
     sortSel.addEventListener('change', () => { setTipSort(sortSel.value); renderInlineTips(); });
   }
+  const expiredChk = pane.querySelector('#tip-show-expired');
+  if (expiredChk) {
+    expiredChk.checked = showExpiredTips;
+    expiredChk.addEventListener('change', () => { showExpiredTips = expiredChk.checked; renderInlineTips(); });
+  }
+  const tipForm = pane.querySelector('#tip-inline-form');
+  if (tipForm) wireExpiryPicker(tipForm);
 
   sidebar.open('details');
 
@@ -996,6 +1312,8 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
   }
 
   if (activeType === 'custom') {
+    pane.querySelector('#btn-history-marker')?.addEventListener('click', () =>
+      renderHistory('marker', activeId, isMine(currentMarkerData?.authorId)));
     pane.querySelector('#btn-edit-marker')?.addEventListener('click', openCustomEditForm);
     pane.querySelector('#btn-delete-marker')?.addEventListener('click', deleteCustomMarkerInline);
   }
@@ -1007,9 +1325,11 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
   const MAX_IMAGE_BYTES = 6 * 1024 * 1024;
   function setPendingFile(f){
     if (f.size > MAX_IMAGE_BYTES) throw new Error('Image too large (max 6MB).');
-    if (!f.type.startsWith('image/')) throw new Error('Only image files are allowed.');
+    // Some browsers send HEIC with no type at all; the server checks the bytes anyway
+    if (f.type && !f.type.startsWith('image/')) throw new Error('Only image files are allowed.');
   }
   attachBtn?.addEventListener('click', () => fileEl?.click());
+  loadPhotoQuota();
   fileEl?.addEventListener('change', () => {
     const f = fileEl.files?.[0]; if (!f) return;
     try { setPendingFile(f); } catch(e){ alert(e.message); fileEl.value=''; }
@@ -1027,89 +1347,335 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
     try { setPendingFile(file); } catch(err){ alert(err.message); }
   });
 
-  // ---- Inline tips ----
+  // ---- Inline tips: sorted + paged by the server, more threads load as the list end scrolls into view ----
+  const tipsById = new Map();   // every tip loaded so far (all pages)
+  let tipCursor = null;         // X-Next-Cursor of the last page; null once everything is shown
+  let tipsLoad = 0;             // bumped on every reset so a stale page is dropped
+  let tipPageLoading = false;
+  const tipMore = document.getElementById('tip-more');
+  const tipReplies = new Map();   // parentId → [{ t }] for the threads on screen
+  const addReply = (t) => {
+    const thread = tipReplies.get(t.parentId) || [];
+    tipReplies.set(t.parentId, thread);
+    const entry = thread.find(e => e.t.id === t.id);
+    if (entry) entry.t = t;
+    else thread.push({ t });
+  };
+  const tipItem = (list, id) => list.querySelector(`.tip-item[data-tip-id="${CSS.escape(id)}"]`);
+  function wireThreadToggles(list) {
+    list.querySelectorAll('details.tip-replies:not([data-wired])').forEach(d => {
+      d.dataset.wired = '1';
+      d.addEventListener('toggle', () => {
+        if (d.open) collapsedThreads.delete(d.dataset.threadId);
+        else collapsedThreads.add(d.dataset.threadId);
+      });
+    });
+  }
+
+  // Back to the first page (after a sort change or any edit)
   async function renderInlineTips() {
     if (activeType !== 'usgs' && activeType !== 'custom') return;
-    const q = activeType === 'usgs' ? `siteId=${activeId}` : `markerIndex=${activeId}`;
-    const res = await fetch(`/api/tips?${q}&viewer=${encodeURIComponent(userId)}`);
-    const tips = await res.json();
-
+    tipsLoad++;
+    tipsById.clear();
+    tipReplies.clear();
+    tipCursor = null;
+    tipPageLoading = false;
     const list = document.getElementById('tip-inline-list');
-    const order = getTipSort();
-    const pairs = tips.map((t, i) => ({ t, i })).sort((a,b) => {
-      const ta = +a.t.timestamp || 0, tb = +b.t.timestamp || 0;
-      return order === 'newest' ? (tb - ta) : (ta - tb);
-    });
+    if (list) list.innerHTML = '';
+    if (activeType === 'usgs') loadObservationSummary();
+    showQueuedTips();
+    await loadTipPage();
+  }
 
-    list.innerHTML = pairs.map(({ t, i }) => {
-  const ts = new Date(t.timestamp).toLocaleString();
-  const img = t.photoUrl ? `<img class="tip-photo" src="${t.photoUrl}" alt="Tip photo" loading="lazy">` : '';
-  const isOwnDraft = (t.status === 'draft' && t.userId === userId);
-  const draftPill = isOwnDraft ? `<span class="pill">Draft (private)</span>` : '';
-  const actions = isOwnDraft
-    ? `<div class="tip-actions">
-         <button class="edit-tip">Edit</button>
-         <button class="publish-tip">Publish</button>
-         <button class="delete-tip">Delete</button>
-       </div>`
-    : `<button class="edit-tip" title="Edit tip">✏️</button>
-       <button class="delete-tip" title="Delete tip">🗑</button>`;
+  // Recent structured observations, summed up above the form (gauges only)
+  async function loadObservationSummary() {
+    const el = document.getElementById('tip-obs-summary');
+    if (!el) return;
+    const site = activeId;
+    const res = await fetch(`/api/tips/summary?siteId=${encodeURIComponent(site)}`).catch(() => null);
+    if (!res?.ok || site !== activeId) return;
+    el.textContent = observationSummaryText(await res.json());
+    el.hidden = !el.textContent;
+  }
 
-  return `
-    <li class="tip-item ${isOwnDraft ? 'draft' : ''}" data-tip-index="${i}" data-tip-id="${t.id||''}">
-      <div class="tip-text">${escapeHTML(t.text)} ${draftPill}</div>
-      ${img}
-      ${actions}
-      <span class="timestamp">(${ts})</span>
-    </li>`;
-}).join('');
+  const byTime = (a, b) => (+a.t.timestamp || 0) - (+b.t.timestamp || 0);
+  const byHelpful = (a, b) => (b.t.helpful || 0) - (a.t.helpful || 0) || byTime(b, a);
+
+  // One tip with its thread (replies from tipReplies)
+  const tipHTML = ({ t }) => {
+    const ts = new Date(t.timestamp).toLocaleString();
+    const img = t.photoUrl
+      ? `<img class="tip-photo" ${photoSrcAttrs(t.photoUrl, t.photoVariants, '(max-width: 720px) 90vw, 360px')} alt="Tip photo" loading="lazy">`
+      : '';
+    const isOwnDraft = (t.status === 'draft' && Boolean(userId) && t.authorId === currentUser?.authorId);
+    const draftPill = isOwnDraft ? `<span class="pill">Draft (private)</span>` : '';
+    // Only the author (and admins) still get hidden tips back from the server
+    const hiddenPill = t.hiddenAt ? `<span class="pill pill-hidden">Hidden · under review</span>` : '';
+    const actions = isOwnDraft
+      ? `<div class="tip-actions">
+           <button class="edit-tip">Edit</button>
+           <button class="publish-tip">Publish</button>
+           <button class="delete-tip">Delete</button>
+         </div>`
+      : isMine(t.authorId)
+        ? `<button class="edit-tip" title="Edit tip">✏️</button>
+           <button class="delete-tip" title="Delete tip">🗑</button>`
+        : '';
+    const historyBtn = t.id ? `<button class="history-tip" title="Edit history">🕘</button>` : '';
+    const reportBtn = t.id && !isMine(t.authorId) ? `<button class="report-tip" title="Report this tip">⚑</button>` : '';
+    const isPublic = t.id && t.status === 'published' && !t.hiddenAt;
+    const helpfulBtn = !isPublic ? ''
+      : isMine(t.authorId)
+        ? `<span class="tip-helpful-count" title="Marked helpful">👍 ${t.helpful || 0}</span>`
+        : `<button class="helpful-tip" aria-pressed="${t.votedHelpful ? 'true' : 'false'}" title="${t.votedHelpful ? 'Remove your vote' : 'Mark as helpful'}">👍 ${t.helpful || 0}</button>`;
+    const replyBtn = isPublic && !t.expired ? `<button class="reply-tip" title="Reply to this tip">↩ Reply</button>` : '';
+    // Top-level order is the server's; threads read top-down, except when ranking by votes
+    const thread = (tipReplies.get(t.id) || []).sort(getTipSort() === 'helpful' ? byHelpful : byTime);
+    const threadHTML = thread.length
+      ? `<details class="tip-replies" data-thread-id="${t.id}" ${collapsedThreads.has(t.id) ? '' : 'open'}>
+           <summary>${thread.length} ${thread.length === 1 ? 'reply' : 'replies'}</summary>
+           <ul class="tip-reply-list">${thread.map(tipHTML).join('')}</ul>
+         </details>`
+      : '';
+
+    return `
+      <li class="tip-item ${isOwnDraft ? 'draft' : ''} ${t.expired ? 'expired' : ''}" data-tip-id="${t.id||''}">
+        <div class="tip-text">${escapeHTML(t.text)} ${draftPill}${hiddenPill}</div>
+        ${observationChipsHTML(t.observation)}
+        ${img}
+        ${actions}
+        ${historyBtn}
+        ${reportBtn}
+        <div class="tip-social">${helpfulBtn}${replyBtn}</div>
+        <span class="timestamp">(${ts})${expiryPillHTML(t)}</span>
+        ${threadHTML}
+      </li>`;
+  };
 
+  async function loadTipPage() {
+    if (tipPageLoading) return;
+    const load = tipsLoad;
+    const params = new URLSearchParams({ sort: getTipSort(), limit: String(TIP_PAGE_SIZE) });
+    params.set(activeType === 'usgs' ? 'siteId' : 'markerId', activeId);
+    if (tipCursor) params.set('cursor', tipCursor);
+    if (showExpiredTips) params.set('expired', '1');
 
-    // Delegated actions
-    list.onclick = async (ev) => {
+    tipPageLoading = true;
+    let res;
+    try {
+      res = await fetch(`/api/tips?${params}`);
+    } finally {
+      if (load === tipsLoad) tipPageLoading = false;
+    }
+    const list = document.getElementById('tip-inline-list');
+    if (load !== tipsLoad || !list || !res.ok) return;
+    const tips = await res.json();
+    tipCursor = res.headers.get('X-Next-Cursor');
+    if (tipMore) tipMore.hidden = !tipCursor;
+    for (const t of tips) tipsById.set(t.id, t);
+
+    // A page holds whole threads. Replies hang under their parent; one whose parent
+    // we can't see comes back from the server as top-level.
+    const ids = new Set(tips.map(t => t.id));
+    const roots = [];
+    tips.forEach((t) => {
+      if (t.parentId && ids.has(t.parentId)) addReply(t);
+      else roots.push({ t });
+    });
+    const wasEmpty = !list.children.length;
+    // A live update (section 19) may have put a thread on screen already
+    list.insertAdjacentHTML('beforeend', roots.filter(({ t }) => !tipItem(list, t.id)).map(tipHTML).join(''));
+    wireThreadToggles(list);
+    if (wasEmpty && !tips.length) {
+      list.innerHTML = `<li class="tip-empty">${showExpiredTips ? 'No tips yet.' : 'No current tips.'}</li>`;
+    }
+  }
+
+  // Next page when the end of the list comes into view (the button is the fallback)
+  tipMoreObserver?.disconnect();
+  tipMoreObserver = null;
+  if (tipMore && 'IntersectionObserver' in window) {
+    tipMoreObserver = new IntersectionObserver((entries) => {
+      if (entries.some(e => e.isIntersecting) && tipCursor) loadTipPage();
+    }, { rootMargin: '200px 0px' });
+    tipMoreObserver.observe(tipMore);
+  }
+  document.getElementById('tip-more-btn')?.addEventListener('click', () => loadTipPage());
+
+  // Live updates (section 19): tips other people publish, edit or delete here change
+  // the loaded list in place. A new thread shows up on top (newest first) or at the
+  // end once every page is loaded; otherwise the page it belongs to brings it.
+  // Items that have a form open (edit, reply, report) are left alone.
+  const liveList = document.getElementById('tip-inline-list');
+  const rerender = (t) => {
+    const li = tipItem(liveList, t.id);
+    if (!li || li.querySelector('form')) return;
+    li.outerHTML = tipHTML({ t });
+    wireThreadToggles(liveList);
+  };
+  liveTipList = !liveList ? null : {
+    key: activeType === 'usgs' ? `usgs:${activeId}` : `custom:${activeId}`,
+    upsert(tip) {
+      if (!liveList.isConnected || (tip.expired && !showExpiredTips)) return;
+      // The stream only carries the public fields; whatever our own view had on top (our vote) stays
+      const t = { votedHelpful: false, ...tipsById.get(tip.id), ...tip };
+      tipsById.set(t.id, t);
+      if (activeType === 'usgs') loadObservationSummary();
+      if (t.parentId && tipsById.has(t.parentId)) {
+        addReply(t);
+        if (tipItem(liveList, t.id)) rerender(t);
+        else rerender(tipsById.get(t.parentId));   // the thread grows (and its count)
+      } else if (tipItem(liveList, t.id)) {
+        rerender(t);
+      } else if (getTipSort() === 'newest' || !tipCursor) {
+        liveList.querySelector('.tip-empty')?.remove();
+        liveList.insertAdjacentHTML(getTipSort() === 'newest' ? 'afterbegin' : 'beforeend', tipHTML({ t }));
+        wireThreadToggles(liveList);
+      }
+    },
+    async remove(id) {
+      if (!liveList.isConnected) return;
+      const t = tipsById.get(id);
+      // A hidden tip stays visible to its author and to admins: ask what we get now
+      if (t && (isMine(t.authorId) || currentUser?.isAdmin)) {
+        const res = await fetch(`/api/tips/${encodeURIComponent(id)}`).catch(() => null);
+        if (res?.ok) return this.upsert(await res.json());
+      }
+      if (!liveList.isConnected) return;
+      tipsById.delete(id);
+      if (activeType === 'usgs') loadObservationSummary();
+      const parent = t?.parentId && tipsById.get(t.parentId);
+      if (parent && tipReplies.has(parent.id)) {
+        tipReplies.set(parent.id, tipReplies.get(parent.id).filter(e => e.t.id !== id));
+        rerender(parent);
+      } else if (!tipItem(liveList, id)?.querySelector('form')) {
+        tipItem(liveList, id)?.remove();
+      }
+    },
+    reload: () => liveList.isConnected && renderInlineTips()
+  };
+
+  // Delegated actions (the list element lives as long as this details view)
+  const tipList = document.getElementById('tip-inline-list');
+  if (tipList) {
+    tipList.onclick = async (ev) => {
       const li = ev.target.closest('.tip-item'); if (!li) return;
-      const idx = +li.dataset.tipIndex;
       const tipId = li.dataset.tipId || null;
+      const tipUrl = `/api/tips/${encodeURIComponent(tipId)}`;
+
+      if (ev.target.classList.contains('history-tip') && tipId) {
+        return renderHistory('tip', tipId, isMine(tipsById.get(tipId)?.authorId));
+      }
+
+      // Votes update in place so the list keeps its scroll position and loaded pages
+      if (ev.target.classList.contains('helpful-tip') && tipId) {
+        const voted = ev.target.getAttribute('aria-pressed') === 'true';
+        const res = await fetch(`${tipUrl}/helpful`, { method: voted ? 'DELETE' : 'POST' });
+        if (await mutationRefused(res) || !res.ok) return;
+        const { helpful, votedHelpful } = await res.json();
+        Object.assign(tipsById.get(tipId) || {}, { helpful, votedHelpful });
+        ev.target.setAttribute('aria-pressed', votedHelpful ? 'true' : 'false');
+        ev.target.title = votedHelpful ? 'Remove your vote' : 'Mark as helpful';
+        ev.target.textContent = `👍 ${helpful}`;
+        return;
+      }
+
+      if (ev.target.classList.contains('reply-tip') && tipId) {
+        if (li.querySelector(':scope > .tip-reply-form')) return;
+        ev.target.closest('.tip-social').insertAdjacentHTML('afterend', `
+          <form class="tip-reply-form">
+            <textarea name="text" rows="2" placeholder="Write a reply…" required></textarea>
+            <div class="tip-actions">
+              <button type="submit">Reply</button>
+              <button type="button" class="cancel-reply">Cancel</button>
+            </div>
+          </form>`);
+        const form = li.querySelector(':scope > .tip-reply-form');
+        form.querySelector('textarea').focus();
+        form.querySelector('.cancel-reply').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const text = form.querySelector('textarea').value.trim();
+          if (!text) return;
+          const body = { text, parentId: tipId, status: 'published' };
+          const res = await fetch('/api/tips', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(activeType === 'usgs' ? { ...body, siteId: activeId } : { ...body, markerId: activeId })
+          });
+          if (await formRejected(res, form)) return;
+          collapsedThreads.delete(tipId);
+          renderInlineTips();
+        });
+        return;
+      }
 
-      if (ev.target.classList.contains('publish-tip')) {
-        await fetch('/api/tips/publish', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(activeType === 'usgs'
-            ? { siteId: activeId, id: tipId, userId }
-            : { markerIndex: activeId, id: tipId, userId })
+      if (ev.target.classList.contains('report-tip') && tipId) {
+        if (li.querySelector(':scope > .tip-report-form')) return;
+        li.querySelector(':scope > .tip-social').insertAdjacentHTML('afterend', `
+          <form class="tip-report-form">
+            <label>Why? <select name="reason">
+              <option value="unsafe">Unsafe advice</option>
+              <option value="spam">Spam</option>
+              <option value="offensive">Offensive</option>
+              <option value="other">Something else</option>
+            </select></label>
+            <input name="note" maxlength="500" placeholder="Details (optional)">
+            <button type="submit">Report</button>
+            <button type="button" class="cancel-report">Cancel</button>
+          </form>`);
+        const form = li.querySelector(':scope > .tip-report-form');
+        form.querySelector('.cancel-report').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const fd = new FormData(form);
+          const res = await fetch(`/api/tips/${encodeURIComponent(tipId)}/report`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason: fd.get('reason'), note: fd.get('note') })
+          });
+          if (await formRejected(res, form)) return;
+          const { hidden } = await res.json();
+          if (hidden) return renderInlineTips();
+          form.outerHTML = '<small class="tip-reported">Thanks, a moderator will take a look.</small>';
         });
+        return;
+      }
+
+      if (ev.target.classList.contains('publish-tip') && tipId) {
+        const res = await fetch(`${tipUrl}/publish`, { method: 'PUT' });
+        await mutationRefused(res);
         return renderInlineTips();
       }
 
-      if (ev.target.classList.contains('delete-tip')) {
-        await fetch('/api/tips', {
-          method: 'DELETE',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(activeType === 'usgs'
-            ? { siteId: activeId, index: idx }
-            : { markerIndex: activeId, index: idx })
-        });
+      if (ev.target.classList.contains('delete-tip') && tipId) {
+        const res = await fetch(tipUrl, { method: 'DELETE' });
+        await mutationRefused(res);
         return renderInlineTips();
       }
 
-      if (ev.target.classList.contains('edit-tip')) {
-        const q2 = activeType === 'usgs' ? `siteId=${activeId}` : `markerIndex=${activeId}`;
-        const current = await (await fetch(`/api/tips?${q2}&viewer=${encodeURIComponent(userId)}`)).json();
-        const t = current[idx]; const originalText = t?.text ?? '';
+      if (ev.target.classList.contains('edit-tip') && tipId) {
+        const r = await fetch(tipUrl);
+        if (!r.ok) return renderInlineTips();
+        const original = await r.json();
+        const originalText = original.text ?? '';
+        const keepExpiry = original.expiresAt == null ? 'Keep: never'
+          : `Keep: ${new Date(original.expiresAt).toLocaleString()}`;
         li.innerHTML = `
           <form class="tip-edit-form" data-tip-id="${tipId}">
-            <textarea rows="3" style="width:100%;">${escapeHTML(originalText)}</textarea>
+            <textarea name="text" rows="3" style="width:100%;">${escapeHTML(originalText)}</textarea>
+            ${expiryPickerHTML(keepExpiry)}
             <div style="margin-top:6px; display:flex; gap:8px; flex-wrap:wrap;">
               <button class="attach-new" type="button">📎 Replace photo</button>
               <button class="remove-photo" type="button">Remove photo</button>
               <button type="submit">Save</button>
               <button class="cancel-tip" type="button">Cancel</button>
-              <input type="file" class="hidden-file" accept="image/*" style="display:none" />
+              <input type="file" class="hidden-file" accept="image/*,.heic,.heif" style="display:none" />
             </div>
           </form>
         `;
         const form = li.querySelector('form');
+        wireExpiryPicker(form);
         const hidden = form.querySelector('.hidden-file');
         let newPhotoUrl = undefined;
 
@@ -1124,10 +1690,11 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
         form.addEventListener('submit', async (e) => {
           e.preventDefault();
           const newText = form.querySelector('textarea').value.trim();
-          const body = activeType === 'usgs' ? { siteId: activeId, id: tipId } : { markerIndex: activeId, id: tipId };
+          const body = expiryBody(form);
           if (newText) body.text = newText;
           if (newPhotoUrl !== undefined) body.photoUrl = newPhotoUrl;
-          await fetch('/api/tips', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          const res = await fetch(tipUrl, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          if (await formRejected(res, form)) return;
           renderInlineTips();
         });
         form.querySelector('.cancel-tip')?.addEventListener('click', () => renderInlineTips());
@@ -1135,6 +1702,63 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
     };
   }
 
+  // ---- History (markers + tips): newest first, owner can roll back ----
+  async function renderHistory(kind, id, canRestore) {
+    const view = document.getElementById('history-view'); if (!view) return;
+    const base = kind === 'marker' ? `/api/markers/${encodeURIComponent(id)}` : `/api/tips/${encodeURIComponent(id)}`;
+    view.hidden = false;
+    view.innerHTML = '<p>Loading history…</p>';
+
+    const r = await fetch(`${base}/history`);
+    if (!r.ok) { view.innerHTML = '<p>No history available.</p>'; return; }
+    const revs = (await r.json()).reverse();
+    const latestId = revs[0]?.id;
+
+    view.innerHTML = `
+      <div class="history-head">
+        <h1 class="section-title">History · ${kind === 'marker' ? 'marker' : 'tip'}</h1>
+        <button type="button" class="history-close">Close</button>
+      </div>
+      ${revs.length ? '' : '<p>No edits recorded yet.</p>'}
+      <ol class="history-list">${revs.map(rv => `
+        <li class="history-item">
+          <div class="history-meta">
+            <strong>#${rv.rev}</strong> ${escapeHTML(HISTORY_ACTIONS[rv.action] || rv.action)}
+            · ${escapeHTML(rv.username || (rv.authorId ? 'anonymous' : 'unknown'))}
+            · ${rv.timestamp ? new Date(rv.timestamp).toLocaleString() : '—'}
+          </div>
+          ${rv.changes.map(renderRevisionChange).join('')}
+          ${canRestore && rv.id !== latestId
+            ? `<button type="button" class="history-restore" data-rev-id="${rv.id}">Restore this version</button>` : ''}
+        </li>`).join('')}
+      </ol>`;
+    view.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    view.onclick = async (ev) => {
+      if (ev.target.classList.contains('history-close')) {
+        view.hidden = true; view.innerHTML = '';
+        return;
+      }
+      const revId = ev.target.dataset?.revId;
+      if (!ev.target.classList.contains('history-restore') || !revId) return;
+      if (!confirm('Roll back to this version? The current one stays in the history.')) return;
+
+      const res = await fetch(`${base}/restore`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ revisionId: revId })
+      });
+      if (await mutationRefused(res) || !res.ok) return;
+
+      if (kind === 'tip') {
+        await renderInlineTips();
+        return renderHistory(kind, id, canRestore);
+      }
+      const m = await res.json();
+      currentMarkerData = { type: 'custom', id: m.id, title: m.title, lat: m.lat, lon: m.lon, authorId: m.authorId };
+      await loadCustomMarkers();
+      showDetails(customMarkerInfoHTML(m), [m.lat, m.lon]);
+    };
+  }
+
   // Initial tips render
   renderInlineTips();
 
@@ -1142,23 +1766,39 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
   document.getElementById('tip-inline-form')?.addEventListener('submit', async e => {
     e.preventDefault();
     const txt = document.getElementById('tip-inline-text').value.trim();
-    if (!txt) return;
+    const observation = observationBody(e.target);
+    if (!txt && !observation) return;
 
     const fileElLocal = document.getElementById('tip-inline-file');
+    const file = fileElLocal?.files?.[0] || null;
     let photoUrl = null;
-
-    if (fileElLocal?.files?.[0]) {
-      try { photoUrl = await uploadTipPhoto(fileElLocal.files[0]); }
-      catch (err) { console.warn('Photo upload failed; continuing without photo', err); }
+    let offline = false;
+
+    if (file && userId) {
+      try { photoUrl = await uploadTipPhoto(file); }
+      catch (err) {
+        // fetch() itself failing (TypeError) means no connection, not a refused photo
+        if (err.name === 'TypeError') offline = true;
+        else alert(`${err.message}\nThe draft is saved without the photo.`);
+      }
     }
 
-    const base = { text: txt, userId, photoUrl, status: 'draft' };
-    const payload = activeType === 'usgs' ? { ...base, siteId: activeId } : { ...base, markerIndex: activeId };
+    const base = { text: txt || undefined, observation, photoUrl, status: 'draft', ...expiryBody(e.target) };
+    const payload = activeType === 'usgs' ? { ...base, siteId: activeId } : { ...base, markerId: activeId };
 
-    await fetch('/api/tips', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+    const res = offline ? null : await fetch('/api/tips', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
+    }).catch(() => null);
+    // No connection: the draft (and its photo) waits on this device (section 20)
+    if (!res) {
+      if (!(await queueWrite({ kind: 'tip', body: payload, photo: photoUrl ? null : file }))) return;
+    } else if (await formRejected(res, e.target)) return;
 
     document.getElementById('tip-inline-text').value = '';
     if (fileElLocal) fileElLocal.value = '';
+    e.target.querySelectorAll('[name^="observation."]').forEach(sel => { sel.value = ''; });
+    e.target.querySelector('[name="expiresIn"]').value = '';
+    e.target.querySelector('[name="expiresAt"]').hidden = true;
     await renderInlineTips();
   });
 } // end showDetails
@@ -1166,15 +1806,22 @@ sidebar.open('details'); // keep this, so the panel opens after selecting a mark
 // 7) Custom marker inline edit + delete
 async function openCustomEditForm() {
   if (activeType !== 'custom') return;
-  const all = await (await fetch('/api/markers')).json();
-  const m = all[activeId]; if (!m) return;
+  const r = await fetch(`/api/markers/${encodeURIComponent(activeId)}`);
+  if (!r.ok) return;
+  let m = await r.json();
 
   const info = document.getElementById('marker-info'); if (!info) return;
   info.innerHTML = `
     <form class="marker-edit-form" id="marker-edit-form">
       <label>Title <input name="title" value="${escapeHTML(m.title || '')}" /></label>
       <label>Description <textarea name="description" rows="3">${escapeHTML(m.description || '')}</textarea></label>
-      <label>Category <input name="category" value="${escapeHTML(m.category || '')}" /></label>
+      <label>Category <select name="category">${categoryOptionsHTML(normalizeCategory(m.category))}</select></label>
+      <fieldset class="marker-photos">
+        <legend>Photos</legend>
+        <ol class="marker-photo-list"></ol>
+        <label class="marker-photo-add">＋ Add photo <input type="file" accept="image/*,.heic,.heif" hidden></label>
+        <small class="marker-photo-error" aria-live="polite"></small>
+      </fieldset>
       <div class="marker-edit-actions">
         <button type="submit">Save</button>
         <button type="button" id="marker-cancel">Cancel</button>
@@ -1183,6 +1830,67 @@ async function openCustomEditForm() {
   `;
 
   const form = document.getElementById('marker-edit-form');
+  const photoList = form.querySelector('.marker-photo-list');
+  const photoError = form.querySelector('.marker-photo-error');
+  const photosUrl = `/api/markers/${encodeURIComponent(activeId)}/photos`;
+
+  // Gallery changes save right away (independent of Save/Cancel)
+  function renderPhotoManager() {
+    const photos = m.photos || [];
+    photoList.innerHTML = photos.map((p, i) => `
+      <li data-id="${escapeHTML(p.id)}">
+        <img src="${escapeHTML(photoThumbUrl(p.url, p.variants))}" alt="" loading="lazy">
+        <button type="button" data-act="left" title="Move earlier" ${i === 0 ? 'disabled' : ''}>←</button>
+        <button type="button" data-act="right" title="Move later" ${i === photos.length - 1 ? 'disabled' : ''}>→</button>
+        <button type="button" data-act="cover" title="Use as cover (map tooltip)" aria-pressed="${p.id === m.coverPhotoId}">${p.id === m.coverPhotoId ? '★' : '☆'}</button>
+        <button type="button" data-act="remove" title="Remove photo">✕</button>
+      </li>`).join('') || '<li class="marker-photo-empty">No photos yet.</li>';
+  }
+
+  async function applyPhotoChange(res) {
+    if (await mutationRefused(res)) { photoError.textContent = ''; return; }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) { photoError.textContent = apiErrorMessage(data, res); return; }
+    photoError.textContent = '';
+    m = data;
+    renderPhotoManager();
+    loadCustomMarkers(); // refresh the tooltip cover
+  }
+
+  photoList.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-act]');
+    const id = btn?.closest('li')?.dataset.id;
+    if (!id) return;
+    const ids = (m.photos || []).map(p => p.id);
+    const i = ids.indexOf(id);
+
+    if (btn.dataset.act === 'remove') {
+      if (!confirm('Remove this photo from the marker?')) return;
+      return applyPhotoChange(await fetch(`${photosUrl}/${encodeURIComponent(id)}`, { method: 'DELETE' }));
+    }
+    let body;
+    if (btn.dataset.act === 'cover') body = { coverPhotoId: id === m.coverPhotoId ? null : id };
+    else {
+      const j = btn.dataset.act === 'left' ? i - 1 : i + 1;
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+      body = { order: ids };
+    }
+    applyPhotoChange(await fetch(photosUrl, {
+      method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    }));
+  });
+
+  form.querySelector('.marker-photo-add input')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const fd = new FormData();
+    fd.append('photo', file);
+    photoError.textContent = 'Uploading…';
+    await applyPhotoChange(await fetch(photosUrl, { method: 'POST', body: fd }));
+    e.target.value = '';
+  });
+  renderPhotoManager();
+
   form?.addEventListener('submit', async (e) => {
     e.preventDefault();
     const fd = new FormData(form);
@@ -1191,44 +1899,34 @@ async function openCustomEditForm() {
     const category = String(fd.get('category') || '').trim();
     if (!title) return;
 
-    const payload = { index: activeId, lat: m.lat, lon: m.lon, title, description, category };
-    const res = await fetch('/api/markers', {
+    const payload = { lat: m.lat, lon: m.lon, title, description };
+    // An unchanged category stays out, so one that is "(not in list)" is kept as stored
+    if (category !== normalizeCategory(m.category)) payload.category = category;
+    const res = await fetch(`/api/markers/${encodeURIComponent(activeId)}`, {
       method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload)
     });
+    if (await formRejected(res, form)) return;
     const updated = await res.json();
 
-    currentMarkerData = { type: 'custom', index: activeId, title: updated.title, lat: updated.lat, lon: updated.lon };
+    currentMarkerData = { type: 'custom', id: updated.id, title: updated.title, lat: updated.lat, lon: updated.lon, authorId: updated.authorId };
     await loadCustomMarkers();
 
-    const html = `
-      <h1 class="section-title">${escapeHTML(updated.title)}</h1>
-      <p><strong>Category:</strong> ${escapeHTML(updated.category || '')}</p>
-      <p>${escapeHTML(updated.description || '')}</p>
-      <p><em>${new Date(updated.timestamp).toLocaleString()}</em></p>
-    `;
-    showDetails(html, [updated.lat, updated.lon]);
+    showDetails(customMarkerInfoHTML(updated), [updated.lat, updated.lon]);
   });
 
   document.getElementById('marker-cancel')?.addEventListener('click', async () => {
-    const all2 = await (await fetch('/api/markers')).json();
-    const m2 = all2[activeId]; if (!m2) return;
-    const html = `
-      <h1 class="section-title">${escapeHTML(m2.title)}</h1>
-      <p><strong>Category:</strong> ${escapeHTML(m2.category || '')}</p>
-      <p>${escapeHTML(m2.description || '')}</p>
-      <p><em>${new Date(m2.timestamp).toLocaleString()}</em></p>
-    `;
-    showDetails(html, [m2.lat, m2.lon]);
+    const r2 = await fetch(`/api/markers/${encodeURIComponent(activeId)}`);
+    if (!r2.ok) return;
+    const m2 = await r2.json();
+    showDetails(customMarkerInfoHTML(m2), [m2.lat, m2.lon]);
   });
 }
 
 async function deleteCustomMarkerInline() {
   if (activeType !== 'custom') return;
-  if (!confirm('Remove this marker?')) return;
-  await fetch('/api/markers', {
-    method: 'DELETE', headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ index: activeId })
-  });
+  if (!confirm('Move this marker to the trash?')) return;
+  const res = await fetch(`/api/markers/${encodeURIComponent(activeId)}`, { method: 'DELETE' });
+  if (await mutationRefused(res)) return;
   await loadCustomMarkers();
   sidebar.close();
 }
@@ -1331,67 +2029,119 @@ async function loadUSGSGages() {
   }
 }
 
-// 9) Load custom markers
-async function loadCustomMarkers() {
-  customLayer.clearLayers();
-
-  let markers = [];
-  try {
-    const r = await fetch('/api/markers', { headers: { 'Accept': 'application/json' } });
+// 9) Load custom markers (current viewport only; layers diffed by id)
+const customMarkerLayers = new Map(); // id -> { layer, stamp }
+let customAbortController = null;
+
+async function fetchMarkersInView(signal) {
+  const b = map.getBounds().pad(0.1);
+  const out = [];
+  let cursor = null;
+  do {
+    const u = new URL('/api/markers', window.location.origin);
+    u.searchParams.set('bbox', b.toBBoxString());
+    u.searchParams.set('limit', '500');
+    if (cursor) u.searchParams.set('cursor', cursor);
+
+    const r = await fetch(u.toString(), { headers: { 'Accept': 'application/json' }, signal });
     if (!r.ok) {
       const body = await r.text().catch(() => '');
       throw new Error(`HTTP ${r.status} – ${body.slice(0, 200)}`);
     }
     const data = await r.json();
-    markers = Array.isArray(data) ? data : [];
+    if (Array.isArray(data)) out.push(...data);
+    cursor = r.headers.get('X-Next-Cursor');
+  } while (cursor);
+  return out;
+}
+
+async function loadCustomMarkers() {
+  if (customAbortController) customAbortController.abort();
+  customAbortController = new AbortController();
+
+  let markers = [];
+  try {
+    markers = await fetchMarkersInView(customAbortController.signal);
   } catch (e) {
-    console.warn('markers fetch failed', e);
+    if (e?.name !== 'AbortError') console.warn('markers fetch failed', e);
     return;
   }
 
-  markers.forEach((m, i) => {
-    const cat = normalizeCategory(m.category);
-    const infoHtml = `
-      <h1 class="section-title">${escapeHTML(m.title)}</h1>
-      <p><strong>Category:</strong> ${escapeHTML(categoryLabel(cat))} ${categoryGlyph(cat)}</p>
-      <p>${escapeHTML(m.description || '')}</p>
-      <p><em>${new Date(m.timestamp).toLocaleString()}</em></p>
-    `;
-
-    L.marker([m.lat, m.lon], { icon: makeCategoryIcon(cat), title: m.title })
-      .addTo(customLayer)
-      .on('click', (e) => {
-        L.DomEvent.stopPropagation(e);
-        activeType = 'custom';
-        activeId = i;
-        currentMarkerData = { type: 'custom', index: i, title: m.title, lat: m.lat, lon: m.lon };
-        showDetails(infoHtml, [m.lat, m.lon]);
-      });
+  const seen = new Set();
+  markers.forEach((m) => {
+    if (!m?.id) return;
+    seen.add(m.id);
+    placeCustomMarker(m);
   });
+
+  // Drop markers that left the viewport (or were deleted)
+  for (const id of customMarkerLayers.keys()) {
+    if (!seen.has(id)) dropCustomMarker(id);
+  }
+}
+
+/** Add or refresh one marker's layer (skipped when nothing shown has changed) */
+function placeCustomMarker(m) {
+  const stamp = `${m.timestamp}|${m.lat}|${m.lon}|${m.title}|${m.category}|${m.description}|${(m.photos || []).map(p => p.id).join(',')}|${m.coverPhotoId}`;
+  const existing = customMarkerLayers.get(m.id);
+  if (existing?.stamp === stamp) return;
+  if (existing) customLayer.removeLayer(existing.layer);
+
+  const cat = normalizeCategory(m.category);
+  const cover = (m.photos || []).find(p => p.id === m.coverPhotoId);
+
+  const layer = L.marker([m.lat, m.lon], { icon: makeCategoryIcon(cat), title: cover ? '' : m.title })
+    .addTo(customLayer)
+    .on('click', (e) => {
+      L.DomEvent.stopPropagation(e);
+      activeType = 'custom';
+      activeId = m.id;
+      currentMarkerData = { type: 'custom', id: m.id, title: m.title, lat: m.lat, lon: m.lon, authorId: m.authorId };
+      showDetails(customMarkerInfoHTML(m), [m.lat, m.lon]);
+    });
+  if (cover) {
+    layer.bindTooltip(`<img class="marker-tooltip-cover" src="${escapeHTML(photoThumbUrl(cover.url, cover.variants))}" alt="">
+      <div class="marker-tooltip-title">${escapeHTML(m.title)}</div>`, { direction: 'top', offset: [0, -12], className: 'marker-tooltip' });
+  }
+  customMarkerLayers.set(m.id, { layer, stamp });
+}
+
+function dropCustomMarker(id) {
+  const existing = customMarkerLayers.get(id);
+  if (!existing) return;
+  customLayer.removeLayer(existing.layer);
+  customMarkerLayers.delete(id);
 }
 
 
 // 10) Click to create new custom marker (guided popup)
-map.off('click');
-map.on('click', (e) => {
-  const { lat, lng } = e.latlng;
+// A photo's capture time pre-fills "Seen"; the photo itself goes into the new
+// marker's gallery once it exists (that upload strips its metadata).
+let pendingMarkerPhoto = null;   // { file, takenAt } from a photo without GPS, waiting for a map click
+
+/** ISO string → value for <input type="datetime-local"> (local time, minutes) */
+function toDatetimeLocal(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
 
+function openNewMarkerForm(lat, lng, { file = null, takenAt = null, draft = null } = {}) {
   const title = prompt('Name this marker:');
-  if (!title || !title.trim()) return;
+  if (!title || !title.trim()) { draft?.remove(); return; }
 
   const defaultCat = 'misc';
+  const preview = file ? URL.createObjectURL(file) : null;
   const popup = L.popup({ closeOnClick: false, autoClose: true })
     .setLatLng([lat, lng])
     .setContent(`
       <form class="mk-form" id="new-marker-form">
+        ${preview ? `<img class="mk-photo-preview" src="${preview}" alt="Photo to attach">` : ''}
         <div><strong>Choose an icon:</strong></div>
-        <div class="row">
-          <label><input type="radio" name="category" value="plant"> 🌿 Plant</label>
-          <label><input type="radio" name="category" value="history"> 🏛 History</label>
-          <label><input type="radio" name="category" value="misc" checked> 📍 Misc</label>
-        </div>
+        <div class="row">${categoryRadiosHTML(defaultCat)}</div>
         <div><strong>Description</strong> <small>(be specific for future categorization)</small></div>
         <textarea name="description" placeholder="e.g. “Blackberry thicket; ripens late June. Easy bank access; watch for bees.”"></textarea>
+        <label class="row">Seen <input type="datetime-local" name="observedAt" value="${takenAt ? toDatetimeLocal(takenAt) : ''}"></label>
         <div class="actions">
           <button type="button" id="mk-cancel">Cancel</button>
           <button type="submit">Save</button>
@@ -1399,6 +2149,11 @@ map.on('click', (e) => {
       </form>
     `)
     .openOn(map);
+  // The draft pin (photo flow) and the preview only live as long as the form
+  popup.on('remove', () => {
+    draft?.remove();
+    if (preview) URL.revokeObjectURL(preview);
+  });
 
   const container = popup.getElement();
   const form = container?.querySelector('#new-marker-form');
@@ -1411,34 +2166,90 @@ map.on('click', (e) => {
     const fd = new FormData(form);
     const category = normalizeCategory(fd.get('category') || defaultCat);
     const description = String(fd.get('description') || '').trim();
+    const seen = String(fd.get('observedAt') || '');
+    const observedAt = seen ? new Date(seen).toISOString() : null;
 
+    const body = { lat, lon: lng, title: title.trim(), description, category, observedAt };
     const resp = await fetch('/api/markers', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ lat, lon: lng, title: title.trim(), description, category, userId })
-    });
-    const created = await resp.json().catch(() => null);
+      body: JSON.stringify(body)
+    }).catch(() => null);
+    // No connection: the marker (and its photo) waits on this device (section 20)
+    if (!resp) {
+      if (await queueWrite({ kind: 'marker', body, photo: file })) map.closePopup(popup);
+      return;
+    }
+    if (resp.status === 401 || resp.status === 403) { await mutationRefused(resp); return map.closePopup(popup); }
+    if (await formRejected(resp, form)) return popup.update();
+    let created = await resp.json().catch(() => null);
+
+    if (created?.id && file) {
+      const photoForm = new FormData();
+      photoForm.append('photo', file);
+      const up = await fetch(`/api/markers/${encodeURIComponent(created.id)}/photos`, { method: 'POST', body: photoForm }).catch(() => null);
+      const data = await up?.json().catch(() => ({}));
+      if (!up) await queueWrite({ kind: 'marker-photo', markerId: created.id, title: created.title, photo: file });
+      else if (up.ok) created = data;
+      else alert(`The marker was saved, but the photo was not: ${apiErrorMessage(data, up)}`);
+    }
 
     map.closePopup(popup);
     await loadCustomMarkers();
 
-    try {
-      const all = await (await fetch('/api/markers')).json();
-      let idx = all.findIndex(m => m.timestamp === created?.timestamp && m.lat === lat && m.lon === lng && m.title === title.trim());
-      if (idx < 0) idx = all.length - 1;
-
-      const cat = normalizeCategory(all[idx]?.category);
-      const infoHtml = `
-        <h1 class="section-title">${escapeHTML(all[idx]?.title || title.trim())}</h1>
-        <p><strong>Category:</strong> ${escapeHTML(categoryLabel(cat))} ${categoryGlyph(cat)}</p>
-        <p>${escapeHTML(all[idx]?.description || description)}</p>
-        <p><em>${new Date(all[idx]?.timestamp || Date.now()).toLocaleString()}</em></p>
-      `;
-      activeType = 'custom'; activeId = idx;
-      currentMarkerData = { type: 'custom', index: idx, title: all[idx]?.title || title.trim(), lat, lon: lng };
-      showDetails(infoHtml, [lat, lng]);
-    } catch {}
+    if (!created?.id) return;
+    activeType = 'custom'; activeId = created.id;
+    currentMarkerData = { type: 'custom', id: created.id, title: created.title, lat, lon: lng, authorId: created.authorId };
+    showDetails(customMarkerInfoHTML(created), [lat, lng]);
   });
+}
+
+map.off('click');
+map.on('click', (e) => {
+  const { lat, lng } = e.latlng;
+  if (!userId) return alert('Sign in (top of the sidebar) to drop markers.');
+  const fromPhoto = pendingMarkerPhoto;
+  setPendingMarkerPhoto(null);
+  openNewMarkerForm(lat, lng, fromPhoto || {});
+});
+
+// "📷 From photo": the server reads the photo's GPS position + capture time and
+// we drop a draft pin there; without GPS the next map click places it instead.
+const photoMarkerNote = document.getElementById('photo-marker-note');
+function setPendingMarkerPhoto(p) {
+  pendingMarkerPhoto = p;
+  if (photoMarkerNote) photoMarkerNote.hidden = !p;
+  map.getContainer().classList.toggle('placing-photo-marker', Boolean(p));
+}
+document.getElementById('photo-marker-cancel')?.addEventListener('click', () => setPendingMarkerPhoto(null));
+
+const markerPhotoInput = document.getElementById('marker-photo-file');
+document.getElementById('btn-marker-from-photo')?.addEventListener('click', () => {
+  if (!userId) return alert('Sign in (top of the sidebar) to drop markers.');
+  markerPhotoInput?.click();
+});
+markerPhotoInput?.addEventListener('change', async () => {
+  const file = markerPhotoInput.files?.[0];
+  markerPhotoInput.value = '';
+  if (!file) return;
+
+  const fd = new FormData();
+  fd.append('photo', file);
+  const res = await fetch('/api/photo-location', { method: 'POST', body: fd });
+  if (await mutationRefused(res)) return;
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return alert(apiErrorMessage(data, res));
+
+  if (!data.location) {
+    setPendingMarkerPhoto({ file, takenAt: data.takenAt });
+    minimizePanel();
+    return;
+  }
+  const { lat, lon } = data.location;
+  setPendingMarkerPhoto(null);
+  map.setView([lat, lon], Math.max(map.getZoom(), 15));
+  const draft = L.marker([lat, lon], { opacity: 0.6, interactive: false }).addTo(map);
+  openNewMarkerForm(lat, lon, { file, takenAt: data.takenAt, draft });
 });
 
 // 11) Debounce viewport loads
@@ -1451,9 +2262,345 @@ L.control.layers(
 ).addTo(map);
 
 
-// 12) Initial load
+// 12) Initial load (custom markers wait for the category list so icons are right first time)
 loadUSGSGages();
-loadCustomMarkers();
+categoriesReady.finally(loadCustomMarkers);
+
+// 13) Sidebar tools: export visible markers / import a file
+const exportFormatSel = document.getElementById('export-format');
+const syncExportOptions = () => {
+  // Tips only travel in GeoJSON; GPX/KML carry the visible gauges instead.
+  const label = document.getElementById('export-with-tips-label');
+  if (label) label.style.display = exportFormatSel?.value === 'geojson' ? '' : 'none';
+};
+exportFormatSel?.addEventListener('change', syncExportOptions);
+syncExportOptions();
+
+document.getElementById('btn-export-visible')?.addEventListener('click', () => {
+  const fmt = exportFormatSel?.value || 'geojson';
+  const u = new URL(`/api/export.${fmt}`, window.location.origin);
+  u.searchParams.set('bbox', map.getBounds().toBBoxString());
+  if (fmt === 'geojson' && document.getElementById('export-with-tips')?.checked) u.searchParams.set('tips', '1');
+  // Gauges are only drawn from zoom 7 up (see loadUSGSGages)
+  if (fmt !== 'geojson' && map.hasLayer(markerLayer) && map.getZoom() >= 7) u.searchParams.set('gauges', '1');
+  const a = document.createElement('a');
+  a.href = u.toString();
+  a.download = '';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+});
+
+const IMPORT_TYPES = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  geojson: 'application/geo+json',
+  json: 'application/geo+json'
+};
+
+const importInput = document.getElementById('import-file');
+document.getElementById('btn-import-file')?.addEventListener('click', () => importInput?.click());
+importInput?.addEventListener('change', async () => {
+  const file = importInput.files?.[0];
+  importInput.value = '';
+  if (!file) return;
+  if (!userId) return alert('Sign in to import markers.');
+
+  const ext = (file.name.split('.').pop() || '').toLowerCase();
+  const contentType = IMPORT_TYPES[ext];
+  if (!contentType) return alert('Choose a .geojson, .json, .gpx or .kml file.');
+
+  let body = await file.text();
+  if (contentType === IMPORT_TYPES.geojson) {
+    try { body = JSON.stringify(JSON.parse(body)); }
+    catch { return alert('That file is not valid GeoJSON.'); }
+  }
+
+  let result;
+  try {
+    const r = await fetch('/api/import', {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body
+    });
+    result = await r.json().catch(() => ({}));
+    if (!r.ok && !result.errors) throw new Error(apiErrorMessage(result, r));
+  } catch (e) {
+    return alert(`Import failed: ${e.message || e}`);
+  }
+
+  const skipped = result.errors?.length || 0;
+  alert(`Imported ${result.created || 0} marker(s)` + (skipped ? `, skipped ${skipped} (first: #${result.errors[0].index} ${result.errors[0].error})` : '') + '.');
+
+  const pts = (result.markers || []).map(m => [m.lat, m.lon]);
+  if (pts.length) map.fitBounds(L.latLngBounds(pts), { maxZoom: 15, padding: [20, 20] });
+  loadCustomMarkers();
+});
+
+// 14) Account: sign in / create account / sign out (signed session cookie)
+const accountBox = document.getElementById('account-box');
+
+function setCurrentUser(user) {
+  currentUser = user || null;
+  userId = currentUser?.id || null;
+  const moderationBtn = document.getElementById('btn-open-moderation');
+  if (moderationBtn) moderationBtn.hidden = !currentUser?.isAdmin;
+  renderAccount();
+  syncOutbox();   // writes queued offline belong to whoever queued them (section 20)
+}
+
+// Pre-account content lives under the random id in localStorage; move it over once.
+async function claimAnonymousId() {
+  const anonId = localStorage.getItem(ANON_ID_KEY);
+  if (!anonId || !userId) return;
+  const r = await fetch('/api/auth/claim', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ anonId })
+  });
+  if (!r.ok && r.status !== 409) return;
+  localStorage.removeItem(ANON_ID_KEY);
+  const { markers = 0, tips = 0 } = await r.json().catch(() => ({}));
+  if (markers || tips) alert(`Moved ${markers} marker(s) and ${tips} tip(s) from this browser into your account.`);
+}
+
+function renderAccount() {
+  if (!accountBox) return;
+  if (currentUser) {
+    accountBox.innerHTML = `
+      <span>Signed in as <strong>${escapeHTML(currentUser.username)}</strong></span>
+      <button type="button" id="btn-sign-out">Sign out</button>
+      ${currentUser.blocked ? '<small class="account-error">This account is blocked: you can browse, but not add or change anything.</small>' : ''}`;
+    accountBox.querySelector('#btn-sign-out')?.addEventListener('click', async () => {
+      await fetch('/api/auth/logout', { method: 'POST' });
+      forgetOfflineCopies();
+      setCurrentUser(null);
+    });
+    return;
+  }
+
+  accountBox.innerHTML = `
+    <form id="account-form">
+      <input name="username" placeholder="Username" autocomplete="username" required>
+      <input name="password" type="password" placeholder="Password" autocomplete="current-password" required>
+      <button type="submit" value="login">Sign in</button>
+      <button type="submit" value="register">Create account</button>
+      <small class="account-error" aria-live="polite"></small>
+    </form>`;
+  const form = accountBox.querySelector('#account-form');
+  form?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const action = e.submitter?.value === 'register' ? 'register' : 'login';
+    const fd = new FormData(form);
+    const r = await fetch(`/api/auth/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: fd.get('username'), password: fd.get('password') })
+    });
+    const data = await r.json().catch(() => ({}));
+    // Not formRejected(): a 401 here means wrong password, not "sign in first"
+    showFieldErrors(form, data.error?.fields);
+    form.querySelector('.account-error').textContent = r.ok || data.error?.fields ? '' : apiErrorMessage(data, r);
+    if (!r.ok) return;
+    setCurrentUser(data);
+    await claimAnonymousId();
+    loadCustomMarkers();
+  });
+}
+
+fetch('/api/auth/me')
+  .then(r => r.json())
+  .then(({ user }) => { setCurrentUser(user); return claimAnonymousId(); })
+  .catch(() => setCurrentUser(null));
+
+// 15) Trash: the signed-in user's deleted markers/tips, restorable until purged
+const trashList = document.getElementById('trash-list');
+
+async function renderTrash() {
+  if (!trashList) return;
+  if (!userId) { trashList.innerHTML = '<li class="trash-item">Sign in to see your trash.</li>'; return; }
+  trashList.innerHTML = '<li class="trash-item">Loading…</li>';
+
+  const r = await fetch('/api/trash');
+  if (!r.ok) { trashList.innerHTML = '<li class="trash-item">Could not load the trash.</li>'; return; }
+  const { retentionDays, items } = await r.json();
+  const note = document.getElementById('trash-note');
+  if (note) note.textContent = `Deleted items are kept for ${retentionDays} day(s), then removed for good (photos included).`;
+
+  trashList.innerHTML = items.length ? items.map(it => `
+    <li class="trash-item" data-kind="${it.kind}" data-id="${escapeHTML(it.id)}">
+      <div class="trash-title">${it.kind === 'marker'
+        ? `${escapeHTML(categoryGlyph(normalizeCategory(it.category)))} ${escapeHTML(it.title || 'Untitled marker')}`
+        : `💬 ${escapeHTML(it.text || '')}`}</div>
+      <small>Deleted ${new Date(it.deletedAt).toLocaleString()} · purged ${new Date(it.purgeAt).toLocaleDateString()}</small>
+      ${it.moderated && !currentUser?.isAdmin
+        ? '<small>Removed by a moderator</small>'
+        : '<button type="button" class="trash-restore">Restore</button>'}
+    </li>`).join('') : '<li class="trash-item">The trash is empty.</li>';
+}
+
+trashList?.addEventListener('click', async (ev) => {
+  const li = ev.target.closest('.trash-item');
+  if (!li || !ev.target.classList.contains('trash-restore')) return;
+  const res = await fetch('/api/trash/restore', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ kind: li.dataset.kind, id: li.dataset.id })
+  });
+  if (await mutationRefused(res) || !res.ok) return;
+  if (li.dataset.kind === 'marker') loadCustomMarkers();
+  renderTrash();
+});
+
+document.getElementById('btn-open-trash')?.addEventListener('click', () => {
+  sidebar.open('trash');
+  renderTrash();
+});
+document.getElementById('btn-trash-back')?.addEventListener('click', () => sidebar.open('details'));
+
+// 16) New category: label, glyph, colour and an optional SVG icon (sanitized by the server)
+const categoryForm = document.getElementById('category-form');
+
+// Icons are baked into each marker layer, so redraw them all after a change
+function redrawCustomMarkers() {
+  customLayer.clearLayers();
+  customMarkerLayers.clear();
+  loadCustomMarkers();
+}
+
+document.getElementById('btn-new-category')?.addEventListener('click', () => {
+  if (!userId) return alert('Sign in to add categories.');
+  if (categoryForm) categoryForm.hidden = !categoryForm.hidden;
+});
+categoryForm?.querySelector('.category-cancel')?.addEventListener('click', () => { categoryForm.hidden = true; });
+
+categoryForm?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const fd = new FormData(categoryForm);
+  const errEl = categoryForm.querySelector('.category-error');
+  const body = { label: fd.get('label'), glyph: fd.get('glyph'), color: fd.get('color') };
+  const file = fd.get('svg');
+  if (file && file.size) {
+    if (file.size > 20 * 1024) { errEl.textContent = 'SVG too large (max 20 KB).'; return; }
+    body.svg = await file.text();
+  }
+
+  const r = await fetch('/api/categories', {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+  errEl.textContent = '';
+  if (await formRejected(r, categoryForm)) return;
+
+  categoryForm.reset();
+  categoryForm.hidden = true;
+  await loadCategories();
+  redrawCustomMarkers();
+});
+
+// 17) Search our own markers + Perceptacle tips (addresses stay with the map's geocoder)
+const searchForm = document.getElementById('data-search');
+const searchInput = document.getElementById('data-search-q');
+const searchBox = document.getElementById('data-search-results');
+const searchList = searchBox?.querySelector('.search-results-list');
+let searchAbortController = null;
+let searchTimer = null;
+
+/** Escape `text`, wrapping word(-prefix) hits of the (lower-cased) terms in <mark> */
+function highlightTerms(text, terms) {
+  const s = String(text ?? '');
+  if (!terms?.length) return escapeHTML(s);
+  const re = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.join('|')})`, 'giu');
+  let out = '', last = 0;
+  for (const m of s.matchAll(re)) {
+    const start = m.index + m[1].length;
+    out += `${escapeHTML(s.slice(last, start))}<mark>${escapeHTML(m[2])}</mark>`;
+    last = start + m[2].length;
+  }
+  return out + escapeHTML(s.slice(last));
+}
+
+function hideSearchResults() {
+  if (searchBox) searchBox.hidden = true;
+  if (searchList) searchList.innerHTML = '';
+}
+
+async function runSearch(q) {
+  if (searchAbortController) searchAbortController.abort();
+  if (q.length < 2) return hideSearchResults();
+  searchAbortController = new AbortController();
+
+  let data;
+  try {
+    const r = await fetch(`/api/search?q=${encodeURIComponent(q)}`, { signal: searchAbortController.signal });
+    if (!r.ok) return;
+    data = await r.json();
+  } catch (e) {
+    if (e?.name !== 'AbortError') console.warn('search failed', e);
+    return;
+  }
+
+  const results = data.results || [];
+  searchList.innerHTML = results.length
+    ? results.map((hit, i) => {
+        const isTip = hit.type === 'tip';
+        const name = isTip ? (hit.place || (hit.key.startsWith('usgs:') ? `USGS #${hit.key.slice(5)}` : 'Tip')) : hit.title;
+        const glyph = isTip ? '💬' : categoryGlyph(normalizeCategory(hit.category));
+        return `<li><button type="button" class="search-result" data-i="${i}">
+          <span class="search-result-title">${escapeHTML(glyph)} ${isTip ? escapeHTML(name) : highlightTerms(name, data.terms)}</span>
+          <span class="search-result-kind">${isTip ? `tip${hit.status === 'draft' ? ' · draft' : ''}` : escapeHTML(categoryLabel(normalizeCategory(hit.category)))}</span>
+          ${hit.snippet ? `<span class="search-result-snippet">${highlightTerms(hit.snippet, data.terms)}</span>` : ''}
+        </button></li>`;
+      }).join('')
+    : `<li class="search-empty">No markers or tips match “${escapeHTML(q)}”.</li>`;
+  searchList.querySelectorAll('.search-result').forEach(btn => {
+    btn.addEventListener('click', () => openSearchHit(results[Number(btn.dataset.i)]));
+  });
+  searchBox.hidden = false;
+}
+
+async function openSearchHit(hit) {
+  if (!hit) return;
+  const coords = Number.isFinite(hit.lat) && Number.isFinite(hit.lon) ? [hit.lat, hit.lon] : null;
+  if (coords) map.flyTo(coords, Math.max(map.getZoom(), 15));
+
+  const sep = hit.key.indexOf(':');
+  const type = hit.key.slice(0, sep), id = hit.key.slice(sep + 1);
+  if (type === 'custom') {
+    const r = await fetch(`/api/markers/${encodeURIComponent(id)}`);
+    if (!r.ok) return alert('That marker is no longer available.');
+    const m = await r.json();
+    activeType = 'custom';
+    activeId = m.id;
+    currentMarkerData = { type: 'custom', id: m.id, title: m.title, lat: m.lat, lon: m.lon, authorId: m.authorId };
+    showDetails(customMarkerInfoHTML(m), [m.lat, m.lon]);
+    return;
+  }
+
+  // USGS gauge: show the latest stage we already have; the gauge layer fills in after the fly-to
+  const last = freshIV(id);
+  const name = hit.place || `USGS #${id}`;
+  activeType = 'usgs';
+  activeId = id;
+  currentMarkerData = { type: 'usgs', id, title: name, lat: hit.lat, lon: hit.lon };
+  showDetails(`
+    <h1 class="section-title">${escapeHTML(name)} (USGS #${escapeHTML(id)})</h1>
+    ${last ? `
+      <p><strong>Stage:</strong> ${escapeHTML(last.value)} ${escapeHTML(last.unit || 'ft')}</p>
+      <p><em>as of ${new Date(last.dateTime).toLocaleString()}</em></p>` : ``}
+  `, coords);
+}
+
+searchForm?.addEventListener('submit', (e) => {
+  e.preventDefault();
+  clearTimeout(searchTimer);
+  runSearch(searchInput.value.trim());
+});
+searchInput?.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => runSearch(searchInput.value.trim()), 300);
+});
+searchBox?.querySelector('.search-clear')?.addEventListener('click', () => {
+  searchInput.value = '';
+  hideSearchResults();
+});
 
 // -----------------
 // Optional: ad-hoc tester in console
@@ -1467,3 +2614,420 @@ loadCustomMarkers();
 //   if (photon) console.log('Photon:', await photon.geocode(qn));
 //   console.log('Census:', await geocodeWithCensus(qn));
 // };
+
+// 18) Moderation (admins only): reported + hidden tips → approve / hide / delete, block the author
+const moderationList = document.getElementById('moderation-list');
+const REPORT_REASON_LABELS = { spam: 'Spam', unsafe: 'Unsafe advice', offensive: 'Offensive', other: 'Other' };
+
+async function renderModeration() {
+  if (!moderationList) return;
+  if (!currentUser?.isAdmin) { moderationList.innerHTML = '<li class="moderation-item">Admins only.</li>'; return; }
+  moderationList.innerHTML = '<li class="moderation-item">Loading…</li>';
+
+  const r = await fetch('/api/moderation');
+  if (!r.ok) { moderationList.innerHTML = '<li class="moderation-item">Could not load the queue.</li>'; return; }
+  const { hideThreshold, items } = await r.json();
+  const note = document.getElementById('moderation-note');
+  if (note) {
+    note.textContent = hideThreshold
+      ? `Tips are hidden automatically once ${hideThreshold} different people report them.`
+      : 'Automatic hiding is off; reported tips stay up until you act.';
+  }
+
+  moderationList.innerHTML = items.length ? items.map(({ tip, reports, openReports, place, author }) => `
+    <li class="moderation-item" data-tip-id="${escapeHTML(tip.id)}" data-author-id="${escapeHTML(author?.id || '')}">
+      <div class="moderation-title">💬 ${escapeHTML(tip.text || '')}
+        ${tip.hiddenAt ? '<span class="pill pill-hidden">Hidden</span>' : ''}</div>
+      ${tip.photoUrl ? `<img class="tip-photo" src="${escapeHTML(tip.photoUrl)}" alt="Tip photo" loading="lazy">` : ''}
+      <small>On ${escapeHTML(place || tip.key)} · by ${escapeHTML(author?.username || 'anonymous')}${author?.blocked ? ' (blocked)' : ''}
+        · ${openReports} open report(s)</small>
+      <ul class="moderation-reports">${reports.map(rp => `
+        <li class="${rp.status === 'open' ? '' : 'resolved'}">
+          <strong>${escapeHTML(REPORT_REASON_LABELS[rp.reason] || rp.reason)}</strong>
+          · ${escapeHTML(rp.username || 'unknown')} · ${new Date(rp.createdAt).toLocaleString()}
+          ${rp.note ? `<div>${escapeHTML(rp.note)}</div>` : ''}
+          ${rp.status === 'open' ? '' : `<em>(${escapeHTML(rp.resolution || 'resolved')})</em>`}
+        </li>`).join('')}
+      </ul>
+      <div class="moderation-actions">
+        <button type="button" data-action="approve">✓ Approve</button>
+        ${tip.hiddenAt ? '' : '<button type="button" data-action="hide">Hide</button>'}
+        <button type="button" data-action="delete">🗑 Delete</button>
+        ${author && !author.isAdmin
+          ? `<button type="button" data-block="${author.blocked ? 'false' : 'true'}">${author.blocked ? 'Unblock' : 'Block'} ${escapeHTML(author.username)}</button>`
+          : ''}
+      </div>
+    </li>`).join('') : '<li class="moderation-item">Nothing to review.</li>';
+}
+
+moderationList?.addEventListener('click', async (ev) => {
+  const li = ev.target.closest('.moderation-item');
+  const btn = ev.target.closest('button');
+  if (!li || !btn) return;
+
+  let res;
+  if (btn.dataset.action) {
+    if (btn.dataset.action === 'delete' && !confirm('Delete this tip? It moves to the trash and only an admin can restore it.')) return;
+    res = await fetch(`/api/moderation/tips/${encodeURIComponent(li.dataset.tipId)}`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ action: btn.dataset.action })
+    });
+  } else if (btn.dataset.block) {
+    const blocked = btn.dataset.block === 'true';
+    if (blocked && !confirm('Block this account? They can still browse, but not add or change anything.')) return;
+    const hideTips = blocked && confirm('Also hide every tip they have published?');
+    res = await fetch(`/api/moderation/users/${encodeURIComponent(li.dataset.authorId)}`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ blocked, hideTips })
+    });
+  } else return;
+
+  if (await mutationRefused(res)) return;
+  if (!res.ok) return alert(apiErrorMessage(await res.json().catch(() => ({})), res));
+  renderModeration();
+});
+
+document.getElementById('btn-open-moderation')?.addEventListener('click', () => {
+  sidebar.open('moderation');
+  renderModeration();
+});
+document.getElementById('btn-moderation-refresh')?.addEventListener('click', renderModeration);
+document.getElementById('btn-moderation-back')?.addEventListener('click', () => sidebar.open('details'));
+
+
+// 19) Live updates: other people's marker and tip changes arrive over /api/events (Server-Sent Events)
+function showLiveMarker(m) {
+  if (map.getBounds().pad(0.1).contains([m.lat, m.lon])) placeCustomMarker(m);
+  else dropCustomMarker(m.id);   // moved out of view
+}
+
+(function connectLiveUpdates() {
+  if (!('EventSource' in window)) return;
+  const es = new EventSource('/api/events');
+  const on = (type, fn) => es.addEventListener(type, (e) => {
+    try { fn(JSON.parse(e.data)); } catch (err) { console.warn('[live]', type, err); }
+  });
+  const forOpenList = (key) => (liveTipList?.key === key ? liveTipList : null);
+
+  on('marker.created', ({ marker }) => showLiveMarker(marker));
+  on('marker.updated', ({ marker }) => showLiveMarker(marker));
+  on('marker.deleted', ({ id }) => dropCustomMarker(id));
+  on('tip.published', ({ key, tip }) => forOpenList(key)?.upsert(tip));
+  on('tip.updated', ({ key, tip }) => forOpenList(key)?.upsert(tip));
+  on('tip.deleted', ({ key, id }) => forOpenList(key)?.remove(id));
+
+  // The browser reconnects by itself; nothing is replayed, so catch up on what the gap may have missed
+  let dropped = false;
+  es.addEventListener('error', () => { dropped = true; });
+  es.addEventListener('open', () => {
+    if (!dropped) return;
+    dropped = false;
+    loadCustomMarkers();
+    liveTipList?.reload();
+  });
+})();
+
+// 20) Offline field mode: the service worker (client/public/sw.js) keeps the app, saved
+// map areas and the last marker/tip answers. Markers and tip drafts made without signal
+// wait in IndexedDB (photos included) and go out through the usual endpoints once the
+// connection is back; whatever the server refuses stays listed with its reason.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  navigator.serviceWorker.register('/sw.js').catch(err => console.warn('[offline] service worker not registered', err));
+}
+
+const OFFLINE_TILE_LIMIT = 1500;   // tiles per save; OpenStreetMap forbids bulk downloads
+const OFFLINE_MAX_ZOOM = 16;
+const TILE_CACHE = 'eg-tiles';     // names shared with sw.js
+const API_CACHE = 'eg-api';
+const SAVED_MARKERS_CACHE = 'eg-saved-markers';
+const queuedLayer = L.layerGroup().addTo(map);
+const offlineBox = document.getElementById('offline-box');
+let areaProgress = '';             // "Saving map… 120 / 600" while a save runs
+
+/** IndexedDB "eg-offline" → store "outbox": { id, kind, userId, key, queuedAt, body?, markerId?, title?, photo?, error? } */
+const outbox = (() => {
+  let db = null;
+  const open = () => (db ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open('eg-offline', 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+  const run = async (mode, fn) => {
+    const tx = (await open()).transaction('outbox', mode);
+    const req = fn(tx.objectStore('outbox'));
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  };
+  return {
+    all: () => run('readonly', s => s.getAll()),
+    add: (item) => run('readwrite', s => s.add(item)),
+    put: (item) => run('readwrite', s => s.put(item)),
+    remove: (id) => run('readwrite', s => s.delete(id))
+  };
+})();
+
+const myQueue = async () => (userId ? (await outbox.all().catch(() => [])).filter(i => i.userId === userId) : []);
+
+/** Keep a write for later: { kind: 'marker' | 'marker-photo' | 'tip', body?, markerId?, title?, photo? }; false if it could not be kept */
+async function queueWrite(item) {
+  if (!userId) { alert('Sign in first (top of the sidebar).'); return false; }
+  try {
+    // The key goes with every create this item makes, so a retry can't make it twice
+    // (getRandomValues, unlike randomUUID, also works on plain-http LAN addresses)
+    const key = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+    await outbox.add({ ...item, userId, key, queuedAt: Date.now(), error: null });
+  } catch (err) {
+    alert(`No connection, and this browser could not keep the change for later: ${err.message}`);
+    return false;
+  }
+  renderOutbox();
+  return true;
+}
+
+/** "Marker “Put-in”" / "Photo for “Put-in”" / "Tip draft “Strainer below…”" (plain text) */
+function describeQueued(item) {
+  if (item.kind === 'marker') return `Marker “${item.body.title}”`;
+  if (item.kind === 'marker-photo') return `Photo for “${item.title || 'a marker'}”`;
+  const text = item.body.text || 'Observation';
+  return `Tip draft “${text.length > 40 ? `${text.slice(0, 40)}…` : text}”`;
+}
+
+/** Queued tip drafts for the open marker/gauge, above its tips list */
+async function showQueuedTips(items) {
+  const list = document.getElementById('tip-queued-list');
+  if (!list) return;
+  const target = activeType === 'usgs' ? 'siteId' : 'markerId';
+  const mine = (items || await myQueue()).filter(i => i.kind === 'tip' && i.body[target] === activeId);
+  list.hidden = !mine.length;
+  list.innerHTML = mine.map(i => `
+    <li class="tip-item draft queued">
+      <div class="tip-text">${escapeHTML(i.body.text || '')} <span class="pill">${i.error ? 'Not synced' : 'Waiting to sync'}</span></div>
+      ${observationChipsHTML(i.body.observation)}
+      ${i.photo ? '<small>📎 photo attached</small>' : ''}
+      <span class="timestamp">(${new Date(i.queuedAt).toLocaleString()})</span>
+    </li>`).join('');
+}
+
+/** Queued markers on the map (faded), the queued tips in view, and the sidebar status */
+async function renderOutbox() {
+  const items = await myQueue();
+  queuedLayer.clearLayers();
+  items.filter(i => i.kind === 'marker').forEach((i) => {
+    L.marker([i.body.lat, i.body.lon], { icon: makeCategoryIcon(normalizeCategory(i.body.category)), opacity: 0.5 })
+      .bindTooltip(`${escapeHTML(i.body.title)} · ${i.error ? 'not synced' : 'waiting to sync'}`)
+      .addTo(queuedLayer);
+  });
+  showQueuedTips(items);
+  if (!offlineBox) return;
+
+  const tiles = 'caches' in window ? (await (await caches.open(TILE_CACHE)).keys()).length : 0;
+  const waiting = items.filter(i => !i.error).length;
+  const conflicts = items.filter(i => i.error);
+  const status = [
+    !navigator.onLine && 'Offline: markers and tips are the last copies saved on this device.',
+    areaProgress,
+    waiting && `${waiting} change${waiting === 1 ? '' : 's'} waiting to sync.`,
+    !areaProgress && tiles && `Saved map: ${tiles} tiles.`
+  ].filter(Boolean);
+
+  offlineBox.hidden = !status.length && !conflicts.length;
+  offlineBox.querySelector('#offline-status').textContent = status.join(' ');
+  offlineBox.querySelector('#offline-sync').hidden = !waiting;
+  offlineBox.querySelector('#offline-clear-map').hidden = !tiles || Boolean(areaProgress);
+  const list = offlineBox.querySelector('#offline-conflicts');
+  list.innerHTML = conflicts.map(i => `
+    <li data-id="${i.id}">
+      <strong>${escapeHTML(describeQueued(i))}</strong> was not saved: ${escapeHTML(i.error)}
+      <button type="button" class="outbox-retry">Retry</button>
+      ${i.kind === 'tip' && i.photo ? '<button type="button" class="outbox-no-photo">Send without photo</button>' : ''}
+      <button type="button" class="outbox-discard">Discard</button>
+    </li>`).join('');
+}
+
+offlineBox?.querySelector('#offline-conflicts')?.addEventListener('click', async (e) => {
+  const btn = e.target.closest('button');
+  const id = Number(btn?.closest('li')?.dataset.id);
+  const item = (await myQueue()).find(i => i.id === id);
+  if (!item) return;
+  if (btn.classList.contains('outbox-discard')) {
+    if (!confirm(`Discard ${describeQueued(item)} for good?`)) return;
+    await outbox.remove(id);
+    return renderOutbox();
+  }
+  await outbox.put({ ...item, error: null, ...(btn.classList.contains('outbox-no-photo') ? { photo: null } : {}) });
+  syncOutbox();
+});
+
+// One queued write → 'sent', 'conflict' (kept with the server's reason) or 'later'
+// (no connection, signed out, rate-limited or a server error: try again next time).
+// A marker that got saved but whose photo did not turns into a 'marker-photo' item,
+// and an uploaded tip photo is remembered. Creates carry the item's Idempotency-Key:
+// when a request landed but its answer got lost, the retry gets the same record back.
+async function sendQueued(item) {
+  const attempt = async (url, init) => {
+    const headers = { ...init.headers, ...(item.key ? { 'Idempotency-Key': item.key } : {}) };
+    const res = await fetch(url, { ...init, headers }).catch(() => null);
+    if (!res || res.status === 401 || res.status === 429 || res.status >= 500) return { later: true };
+    const data = await res.json().catch(() => ({}));
+    return res.ok ? { data } : { error: apiErrorMessage(data, res) };
+  };
+  const postJSON = (url, body) => attempt(url, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+  });
+  const photoForm = () => {
+    const fd = new FormData();
+    fd.append('photo', item.photo);
+    return fd;
+  };
+  const conflict = async (error) => {
+    await outbox.put({ ...item, error });
+    return 'conflict';
+  };
+  const sent = async () => {
+    await outbox.remove(item.id);
+    return 'sent';
+  };
+
+  if (item.kind === 'marker') {
+    const r = await postJSON('/api/markers', item.body);
+    if (r.later) return 'later';
+    if (r.error) return conflict(r.error);
+    if (!item.photo) return sent();
+    item = { ...item, kind: 'marker-photo', markerId: r.data.id, title: r.data.title, body: undefined };
+    await outbox.put(item);
+  }
+
+  if (item.kind === 'marker-photo') {
+    const r = await attempt(`/api/markers/${encodeURIComponent(item.markerId)}/photos`, { method: 'POST', body: photoForm() });
+    if (r.later) return 'later';
+    if (r.error) return conflict(r.error);   // the marker itself is already saved
+    return sent();
+  }
+
+  if (item.photo) {
+    const r = await attempt('/api/tip-photos', { method: 'POST', body: photoForm() });
+    if (r.later) return 'later';
+    if (r.error) return conflict(r.error);
+    item = { ...item, photo: null, body: { ...item.body, photoUrl: r.data.url } };
+    await outbox.put(item);
+  }
+  const r = await postJSON('/api/tips', item.body);
+  if (r.later) return 'later';
+  if (r.error) return conflict(r.error);
+  return sent();
+}
+
+let syncing = false;
+async function syncOutbox() {
+  if (syncing) return;
+  syncing = true;
+  let sent = 0;
+  try {
+    // Oldest first, so a tip never goes out ahead of an earlier change it may rely on
+    for (const item of await myQueue()) {
+      if (item.error) continue;
+      const outcome = await sendQueued(item);
+      if (outcome === 'later') break;
+      if (outcome === 'sent') sent++;
+    }
+  } catch (err) {
+    console.warn('[offline] sync stopped', err);
+  } finally {
+    syncing = false;
+  }
+  await renderOutbox();
+  if (!sent) return;
+  loadCustomMarkers();
+  liveTipList?.reload();
+  loadPhotoQuota();
+}
+
+/** Signed out: the cached API answers (drafts, who we are) belong to the old session */
+function forgetOfflineCopies() {
+  if ('caches' in window) caches.delete(API_CACHE).catch(() => {});
+}
+
+// "⬇ Save area offline": tiles for the view from two levels out down to a few
+// levels in (as deep as the tile limit allows), plus the markers in view.
+const lon2tile = (lon, z) => Math.floor((lon + 180) / 360 * 2 ** z);
+const lat2tile = (lat, z) => {
+  const r = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * 2 ** z);
+};
+function tileRange(bounds, z) {
+  const clamp = (v) => Math.max(0, Math.min(2 ** z - 1, v));
+  const x0 = clamp(lon2tile(bounds.getWest(), z)), x1 = clamp(lon2tile(bounds.getEast(), z));
+  const y0 = clamp(lat2tile(bounds.getNorth(), z)), y1 = clamp(lat2tile(bounds.getSouth(), z));
+  return { z, x0, x1, y0, y1, count: (x1 - x0 + 1) * (y1 - y0 + 1) };
+}
+
+async function saveAreaOffline() {
+  if (!('caches' in window) || !navigator.serviceWorker?.controller) {
+    return alert('Offline maps are not active in this browser yet. Reload the page (it must be served over HTTPS) and try again.');
+  }
+  if (areaProgress) return;
+  const bounds = map.getBounds();
+  const from = Math.max(0, Math.floor(map.getZoom()) - 2);
+  const ranges = [];
+  let total = 0;
+  for (let z = from; z <= OFFLINE_MAX_ZOOM; z++) {
+    const range = tileRange(bounds, z);
+    if (total + range.count > OFFLINE_TILE_LIMIT) break;
+    ranges.push(range);
+    total += range.count;
+  }
+  if (!ranges.length) return alert('That area is too big to save; zoom in to the stretch you need.');
+  const to = ranges[ranges.length - 1].z;
+  if (!confirm(`Save ${total} map tiles (zoom ${from}–${to}) and the markers in view for use without signal?`)) return;
+
+  const urls = ranges.flatMap(({ z, x0, x1, y0, y1 }) => {
+    const out = [];
+    for (let x = x0; x <= x1; x++) for (let y = y0; y <= y1; y++) out.push(`https://tile.openstreetmap.org/${z}/${x}/${y}.png`);
+    return out;
+  });
+  const cache = await caches.open(TILE_CACHE);
+  let done = 0, failed = 0;
+  const next = () => urls.shift();
+  // Two at a time, the most OpenStreetMap allows per client
+  const worker = async () => {
+    for (let url = next(); url; url = next()) {
+      if (!(await cache.match(url))) {
+        const res = await fetch(url, { mode: 'cors' }).catch(() => null);
+        if (res?.ok) await cache.put(url, res);
+        else failed++;
+      }
+      areaProgress = `Saving map… ${++done} / ${total}`;
+      if (done % 20 === 0 || done === total) renderOutbox();
+    }
+  };
+  try {
+    await Promise.all([worker(), worker()]);
+    // The service worker only keeps the latest viewports; a saved area's markers stay until removed
+    const bbox = map.getBounds().pad(0.1).toBBoxString();
+    const markers = await fetchMarkersInView();
+    await (await caches.open(SAVED_MARKERS_CACHE)).put(`/api/markers?bbox=${bbox}`, new Response(JSON.stringify(markers), {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  } catch (err) {
+    alert(`Saving the map stopped: ${err.message}`);
+  } finally {
+    areaProgress = '';
+    renderOutbox();
+  }
+  if (failed) alert(`${failed} of ${total} map tiles could not be downloaded; save the area again to fill the gaps.`);
+}
+
+document.getElementById('btn-save-offline')?.addEventListener('click', saveAreaOffline);
+document.getElementById('offline-sync')?.addEventListener('click', () => syncOutbox());
+document.getElementById('offline-clear-map')?.addEventListener('click', async () => {
+  if (!confirm('Remove the saved map tiles and markers from this device?')) return;
+  await caches.delete(TILE_CACHE);
+  await caches.delete(SAVED_MARKERS_CACHE);
+  renderOutbox();
+});
+
+window.addEventListener('online', () => syncOutbox());
+window.addEventListener('offline', () => renderOutbox());
+// navigator.onLine stays true on a weak signal that carries nothing, so keep trying
+setInterval(() => { if (navigator.onLine) syncOutbox(); }, 60 * 1000);
@@ -0,0 +1,175 @@
+// src/admin/backup.js
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { createTarGzWriter, readTarGz } from './tar.js';
+
+export const MANIFEST_NAME = 'manifest.json';
+const FORMAT = 'egadmin-backup';
+
+// SQLite side files are folded into the snapshot taken via the backup API
+const SKIP = /-(wal|shm|journal)$/;
+
+/** Every regular file under `dir`, as paths relative to it (sorted, '/' separators) */
+export async function listFiles(dir) {
+  const out = [];
+  async function walk(rel) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(dir, rel), { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+    for (const ent of entries) {
+      const child = rel ? `${rel}/${ent.name}` : ent.name;
+      if (ent.isDirectory()) await walk(child);
+      else if (ent.isFile()) out.push(child);
+    }
+  }
+  await walk('');
+  return out.sort();
+}
+
+/** Consistent copy of a live SQLite db (WAL included) via better-sqlite3's backup API */
+async function snapshotSqlite(file) {
+  const { default: Database } = await import('better-sqlite3');
+  const tmp = path.join(os.tmpdir(), `egadmin-${process.pid}-${crypto.randomUUID()}.sqlite`);
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    await db.backup(tmp);
+  } finally {
+    db.close();
+  }
+  return tmp;
+}
+
+/**
+ * Archive DATA_DIR → data/… and UPLOADS_DIR → uploads/… into a .tar.gz with
+ * a trailing manifest.json ({ format, version, createdAt, files: [{ path, size, sha256 }] }).
+ * Written to `<out>.partial` first, so a failed run never leaves a half archive behind.
+ * @returns {Promise<{ file: string, manifest: object }>}
+ */
+export async function createBackup({ dataDir, uploadsDir, out, meta = {} }) {
+  await fs.promises.mkdir(path.dirname(out), { recursive: true });
+  const partial = `${out}.partial`;
+  const tar = createTarGzWriter(partial);
+  const files = [];
+
+  try {
+    for (const [prefix, dir] of [['data', dataDir], ['uploads', uploadsDir]]) {
+      for (const rel of await listFiles(dir)) {
+        if (SKIP.test(rel)) continue;
+        const name = `${prefix}/${rel}`;
+        let src = path.join(dir, rel);
+        const tmp = rel.endsWith('.sqlite') ? await snapshotSqlite(src) : null;
+        if (tmp) src = tmp;
+        try {
+          const hash = crypto.createHash('sha256');
+          const size = await tar.addFile(name, src, { onData: (b) => hash.update(b) });
+          files.push({ path: name, size, sha256: hash.digest('hex') });
+        } finally {
+          if (tmp) await fs.promises.rm(tmp, { force: true });
+        }
+      }
+    }
+
+    const manifest = { format: FORMAT, version: 1, createdAt: new Date().toISOString(), ...meta, files };
+    await tar.addBuffer(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+    await tar.finish();
+    await fs.promises.rename(partial, out);
+    return { file: out, manifest };
+  } catch (e) {
+    await tar.finish().catch(() => {});
+    await fs.promises.rm(partial, { force: true });
+    throw e;
+  }
+}
+
+// Only data/… and uploads/… may come out of an archive, and never via '..'
+function safeTarget(name) {
+  const norm = path.posix.normalize(name);
+  if (norm !== name || norm.startsWith('/') || norm.split('/').includes('..')) return null;
+  return /^(data|uploads)\/./.test(norm) ? norm : null;
+}
+
+/**
+ * Unpack an archive into `stagingDir` and check every file against the
+ * manifest. Nothing outside `stagingDir` is touched.
+ * @returns {Promise<object>} the manifest
+ */
+export async function extractBackup(archive, stagingDir) {
+  const seen = new Map();   // path → { size, sha256 }
+  let manifestChunks = null;
+
+  try {
+    await readTarGz(archive, async ({ name, type }) => {
+      if (name === MANIFEST_NAME) {
+        manifestChunks = [];
+        return (chunk) => { manifestChunks.push(chunk); };
+      }
+      if (type !== '0') return null;
+      const rel = safeTarget(name);
+      if (!rel) throw new Error(`Refusing unsafe path in archive: ${name}`);
+
+      const dest = path.join(stagingDir, rel);
+      await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+      const info = { size: 0, sha256: null, fh: await fs.promises.open(dest, 'w'), hash: crypto.createHash('sha256') };
+      seen.set(rel, info);
+      return async (chunk) => {
+        await info.fh.write(chunk);
+        info.hash.update(chunk);
+        info.size += chunk.length;
+      };
+    });
+  } finally {
+    for (const info of seen.values()) await info.fh.close();
+  }
+  for (const info of seen.values()) info.sha256 = info.hash.digest('hex');
+
+  if (!manifestChunks) throw new Error(`No ${MANIFEST_NAME} in archive`);
+  const manifest = JSON.parse(Buffer.concat(manifestChunks).toString('utf8'));
+  if (manifest.format !== FORMAT) throw new Error(`Not an egadmin backup (format "${manifest.format}")`);
+
+  const problems = [];
+  for (const f of manifest.files || []) {
+    const got = seen.get(f.path);
+    if (!got) problems.push(`missing ${f.path}`);
+    else if (got.size !== f.size || got.sha256 !== f.sha256) problems.push(`checksum mismatch ${f.path}`);
+  }
+  const listed = new Set((manifest.files || []).map(f => f.path));
+  for (const p of seen.keys()) if (!listed.has(p)) problems.push(`not in manifest: ${p}`);
+  if (problems.length) throw new Error(`Archive failed verification:\n  ${problems.join('\n  ')}`);
+  return manifest;
+}
+
+/**
+ * Replace DATA_DIR and UPLOADS_DIR with an archive's contents. The current
+ * folders are moved to `<persistRoot>/pre-restore-<stamp>/` rather than deleted.
+ * Run with the server stopped.
+ * @returns {Promise<{ manifest: object, previous: string }>}
+ */
+export async function restoreBackup({ archive, persistRoot, dataDir, uploadsDir }) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const staging = path.join(persistRoot, `.restore-${stamp}`);
+  const previous = path.join(persistRoot, `pre-restore-${stamp}`);
+
+  let manifest;
+  try {
+    manifest = await extractBackup(archive, staging);
+  } catch (e) {
+    await fs.promises.rm(staging, { recursive: true, force: true });
+    throw e;
+  }
+
+  await fs.promises.mkdir(previous, { recursive: true });
+  for (const [name, dir] of [['data', dataDir], ['uploads', uploadsDir]]) {
+    if (fs.existsSync(dir)) await fs.promises.rename(dir, path.join(previous, name));
+    const from = path.join(staging, name);
+    if (fs.existsSync(from)) await fs.promises.rename(from, dir);
+    else await fs.promises.mkdir(dir, { recursive: true });
+  }
+  await fs.promises.rm(staging, { recursive: true, force: true });
+  return { manifest, previous };
+}
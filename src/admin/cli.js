@@ -0,0 +1,121 @@
+// src/admin/cli.js
+// Usage: npm run egadmin -- <command> [options]
+//   backup  [--out <file.tar.gz>]   archive DATA_DIR + UPLOADS_DIR with a manifest
+//   restore <file.tar.gz> --yes     replace both folders (old ones are kept aside)
+//   verify  [--json]                orphaned tip keys, missing/unreferenced photos, malformed records
+//   stats   [--json]                record counts and disk usage
+// Paths come from DISK_ROOT exactly as for the server (src/persist.js).
+import 'dotenv/config';
+import path from 'path';
+import { resolvePersistPaths } from '../persist.js';
+import { openStore } from '../store/index.js';
+import { createBackup, restoreBackup } from './backup.js';
+import { verifyData, collectStats } from './verify.js';
+
+const USAGE = `Usage: npm run egadmin -- <command> [options]
+
+  backup  [--out <file.tar.gz>]   archive data + uploads (default: <DISK_ROOT>/archives/egdata-<time>.tar.gz)
+  restore <file.tar.gz> --yes     stop the server first; current folders move to <DISK_ROOT>/pre-restore-<time>/
+  verify  [--json]                exits 1 when problems are found
+  stats   [--json]`;
+
+const [command, ...args] = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+
+const { PERSIST_ROOT, DATA_DIR, UPLOADS_DIR } = resolvePersistPaths();
+const driver = process.env.STORE_DRIVER;
+
+const formatBytes = (n) =>
+  n >= 1 << 30 ? `${(n / (1 << 30)).toFixed(1)} GB`
+    : n >= 1 << 20 ? `${(n / (1 << 20)).toFixed(1)} MB`
+      : n >= 1 << 10 ? `${(n / (1 << 10)).toFixed(1)} KB` : `${n} B`;
+
+// verify/stats only look: a missing store is an error, not something to create
+async function withStore(fn) {
+  const store = await openStore({ driver, dataDir: DATA_DIR, readOnly: true });
+  try {
+    return await fn(store);
+  } finally {
+    await store.close();
+  }
+}
+
+async function backup() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const out = path.resolve(option('--out') || path.join(PERSIST_ROOT, 'archives', `egdata-${stamp}.tar.gz`));
+  const { file, manifest } = await createBackup({
+    dataDir: DATA_DIR,
+    uploadsDir: UPLOADS_DIR,
+    out,
+    meta: { persistRoot: PERSIST_ROOT, storeDriver: String(driver || 'json') }
+  });
+  const bytes = manifest.files.reduce((n, f) => n + f.size, 0);
+  console.log(`[egadmin] wrote ${file} (${manifest.files.length} files, ${formatBytes(bytes)} before compression)`);
+}
+
+async function restore() {
+  const archive = args.find(a => !a.startsWith('--'));
+  if (!archive) throw new Error('restore needs an archive path');
+  if (!flag('--yes')) {
+    console.log(`[egadmin] this replaces ${DATA_DIR} and ${UPLOADS_DIR}.`);
+    console.log('[egadmin] stop the server, then re-run with --yes.');
+    process.exitCode = 1;
+    return;
+  }
+  const { manifest, previous } = await restoreBackup({
+    archive: path.resolve(archive), persistRoot: PERSIST_ROOT, dataDir: DATA_DIR, uploadsDir: UPLOADS_DIR
+  });
+  console.log(`[egadmin] restored ${manifest.files.length} files from the ${manifest.createdAt} backup`);
+  console.log(`[egadmin] previous data kept in ${previous}`);
+}
+
+async function verify() {
+  const report = await withStore(store => verifyData({ store, uploadsDir: UPLOADS_DIR }));
+  const total = Object.values(report).reduce((n, list) => n + list.length, 0);
+  if (flag('--json')) console.log(JSON.stringify(report, null, 2));
+  else {
+    const sections = {
+      orphanedTipKeys: (r) => `${r.key} (${r.tips} tip(s)): ${r.message}`,
+      missingPhotos: (r) => `${r.url} ← ${r.owner}: ${r.message}`,
+      unreferencedUploads: (r) => `${r.url} (${formatBytes(r.size)}): ${r.message}`,
+      malformed: (r) => `${r.kind} ${r.id ?? '?'}${r.key ? ` (${r.key})` : ''}: ${r.message}`
+    };
+    for (const [name, line] of Object.entries(sections)) {
+      console.log(`${name}: ${report[name].length}`);
+      for (const r of report[name]) console.log(`  - ${line(r)}`);
+    }
+    console.log(total ? `[egadmin] ${total} problem(s) found` : '[egadmin] no problems found');
+  }
+  if (total) process.exitCode = 1;
+}
+
+async function stats() {
+  const s = await withStore(store => collectStats({ store, dataDir: DATA_DIR, uploadsDir: UPLOADS_DIR }));
+  if (flag('--json')) return console.log(JSON.stringify({ persistRoot: PERSIST_ROOT, ...s }, null, 2));
+  console.log(`persist root   ${PERSIST_ROOT} (store: ${s.driver})`);
+  console.log(`markers        ${s.markers.total} (${s.markers.trashed} in trash, ${s.markers.withPhotos} with photos)`);
+  console.log(`tips           ${s.tips.total} (${s.tips.published} published, ${s.tips.drafts} drafts, ${s.tips.trashed} in trash, ${s.tips.hidden} hidden) on ${s.tips.keys} targets`);
+  console.log(`reports        ${s.reports.total} (${s.reports.open} open)`);
+  console.log(`categories     ${s.categories}`);
+  console.log(`contributors   ${s.contributors}`);
+  console.log(`revisions      ${s.revisions}`);
+  console.log(`data           ${s.data.files} files, ${formatBytes(s.data.bytes)}`);
+  console.log(`uploads        ${s.uploads.files} files, ${formatBytes(s.uploads.bytes)}`);
+}
+
+const commands = { backup, restore, verify, stats };
+if (!commands[command]) {
+  console.log(USAGE);
+  process.exitCode = command ? 1 : 0;
+} else {
+  try {
+    await commands[command]();
+  } catch (e) {
+    console.error(`[egadmin] ${command} failed: ${e.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,142 @@
+// src/admin/tar.js
+// Minimal ustar + gzip, enough for egadmin backups: regular files only, paths
+// up to 255 bytes, streamed so large upload folders never sit in memory.
+import fs from 'fs';
+import zlib from 'zlib';
+import { once } from 'events';
+
+const BLOCK = 512;
+
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+  const cut = name.lastIndexOf('/', 155);
+  if (cut <= 0 || Buffer.byteLength(name.slice(cut + 1)) > 100) throw new Error(`Path too long for tar: ${name}`);
+  return { name: name.slice(cut + 1), prefix: name.slice(0, cut) };
+}
+
+function header(path, size, mtimeMs) {
+  const h = Buffer.alloc(BLOCK);
+  const { name, prefix } = splitName(path);
+  const octal = (n, len) => n.toString(8).padStart(len - 1, '0') + '\0';
+  h.write(name, 0, 100);
+  h.write(octal(0o644, 8), 100);
+  h.write(octal(0, 8), 108);
+  h.write(octal(0, 8), 116);
+  h.write(octal(size, 12), 124);
+  h.write(octal(Math.floor(mtimeMs / 1000), 12), 136);
+  h.write('        ', 148);            // checksum counts as spaces while summing
+  h.write('0', 156);                   // regular file
+  h.write('ustar\u000000', 257);
+  h.write(prefix, 345, 155);
+  let sum = 0;
+  for (const b of h) sum += b;
+  h.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return h;
+}
+
+/**
+ * Streaming .tar.gz writer.
+ *   const tar = createTarGzWriter(file);
+ *   await tar.addFile('data/markers.json', '/abs/path', { onData });
+ *   await tar.addBuffer('manifest.json', buf);
+ *   await tar.finish();
+ */
+export function createTarGzWriter(file) {
+  const gzip = zlib.createGzip();
+  const out = fs.createWriteStream(file);
+  gzip.pipe(out);
+  const done = once(out, 'finish');
+
+  async function write(buf) {
+    if (!gzip.write(buf)) await once(gzip, 'drain');
+  }
+  const pad = (size) => (size % BLOCK ? Buffer.alloc(BLOCK - (size % BLOCK)) : null);
+
+  return {
+    async addBuffer(name, buf, mtimeMs = Date.now()) {
+      await write(header(name, buf.length, mtimeMs));
+      await write(buf);
+      const p = pad(buf.length);
+      if (p) await write(p);
+    },
+
+    /** Reads through one fd so a file replaced mid-backup (temp + rename) stays consistent. */
+    async addFile(name, absPath, { onData } = {}) {
+      const fh = await fs.promises.open(absPath, 'r');
+      try {
+        const { size, mtimeMs } = await fh.stat();
+        await write(header(name, size, mtimeMs));
+        let left = size;
+        for await (const chunk of fh.createReadStream({ autoClose: false, start: 0, end: Math.max(size - 1, 0) })) {
+          const part = chunk.length > left ? chunk.subarray(0, left) : chunk;
+          if (!part.length) break;
+          onData?.(part);
+          await write(part);
+          left -= part.length;
+        }
+        if (left) throw new Error(`${absPath} shrank while it was being archived`);
+        const p = pad(size);
+        if (p) await write(p);
+        return size;
+      } finally {
+        await fh.close();
+      }
+    },
+
+    async finish() {
+      await write(Buffer.alloc(BLOCK * 2));
+      gzip.end();
+      await done;
+    }
+  };
+}
+
+function parseHeader(h) {
+  const str = (start, len) => h.subarray(start, start + len).toString('utf8').replace(/\0.*$/s, '');
+  const size = parseInt(str(124, 12).trim() || '0', 8);
+  const prefix = str(345, 155);
+  const name = str(0, 100);
+  return { name: prefix ? `${prefix}/${name}` : name, size, type: str(156, 1) || '0' };
+}
+
+/**
+ * Walk a .tar.gz: `onEntry({ name, size, type })` may return a handler
+ * `(chunk) => void | Promise` that receives the entry's bytes, or nothing to skip it.
+ * Returns once the end-of-archive marker is read.
+ */
+export async function readTarGz(file, onEntry) {
+  let buf = Buffer.alloc(0);
+  let entry = null;        // { handler, left, skip }
+
+  for await (const chunk of fs.createReadStream(file).pipe(zlib.createGunzip())) {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+
+    while (true) {
+      if (!entry) {
+        if (buf.length < BLOCK) break;
+        const h = buf.subarray(0, BLOCK);
+        buf = buf.subarray(BLOCK);
+        if (h.every(b => b === 0)) return;
+        const meta = parseHeader(h);
+        const handler = await onEntry(meta);
+        entry = { handler, left: meta.size, skip: meta.size % BLOCK ? BLOCK - (meta.size % BLOCK) : 0 };
+      }
+      if (entry.left) {
+        if (!buf.length) break;
+        const part = buf.subarray(0, Math.min(entry.left, buf.length));
+        buf = buf.subarray(part.length);
+        entry.left -= part.length;
+        if (entry.handler) await entry.handler(part);
+        if (entry.left) break;
+      }
+      if (entry.skip) {
+        const n = Math.min(entry.skip, buf.length);
+        buf = buf.subarray(n);
+        entry.skip -= n;
+        if (entry.skip) break;
+      }
+      entry = null;
+    }
+  }
+  throw new Error('Archive ended early (truncated?)');
+}
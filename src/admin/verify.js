@@ -0,0 +1,134 @@
+// src/admin/verify.js
+import path from 'path';
+import fs from 'fs';
+import { createSchemas, parseBody } from '../schemas.js';
+import { listFiles } from './backup.js';
+import { photoFileNames } from '../images.js';
+
+const TIP_KEY_RE = /^(usgs:[0-9]+|custom:.+)$/;
+const UPLOAD_PREFIX = '/uploads/';
+
+// Every stored photo URL → { url, owner } (owner names the record, for the report)
+function photoRefs(markers, tipsByKey) {
+  const refs = [];
+  for (const m of markers) {
+    for (const p of m.photos || []) refs.push({ url: p.url, owner: `marker ${m.id}` });
+  }
+  for (const [key, arr] of Object.entries(tipsByKey)) {
+    for (const t of arr) if (t.photoUrl) refs.push({ url: t.photoUrl, owner: `tip ${t.id} (${key})` });
+  }
+  return refs;
+}
+
+/**
+ * Integrity report for a store + uploads folder. Nothing is changed.
+ * @returns {Promise<{ orphanedTipKeys, missingPhotos, unreferencedUploads, malformed }>}
+ *   each an array of { …details, message }
+ */
+export async function verifyData({ store, uploadsDir }) {
+  const markers = await store.markers.list();
+  const tipsByKey = await store.tips.all();
+  const markerIds = new Set(markers.map(m => m.id));
+  // Stored markers may keep a category that was never registered (edits accept
+  // it unchanged), so only new markers are held to the category list.
+  const schemas = createSchemas({ isCategory: async () => true });
+
+  const report = { orphanedTipKeys: [], missingPhotos: [], unreferencedUploads: [], malformed: [] };
+
+  // Tips whose key points at nothing (marker hard-deleted) or isn't a key at all
+  for (const [key, arr] of Object.entries(tipsByKey)) {
+    if (!TIP_KEY_RE.test(key)) {
+      report.orphanedTipKeys.push({ key, tips: arr.length, message: 'not a usgs:<siteId> or custom:<markerId> key' });
+    } else if (key.startsWith('custom:') && !markerIds.has(key.slice(7))) {
+      report.orphanedTipKeys.push({ key, tips: arr.length, message: 'marker no longer exists' });
+    }
+  }
+
+  // Records that today's write schemas would reject
+  const seenIds = new Set();
+  for (const m of markers) {
+    const { error } = await parseBody(schemas.markerCreate, m);
+    if (!m.id) report.malformed.push({ kind: 'marker', id: null, message: 'missing id' });
+    else if (seenIds.has(m.id)) report.malformed.push({ kind: 'marker', id: m.id, message: 'duplicate id' });
+    if (!Number.isFinite(Number(m.timestamp))) report.malformed.push({ kind: 'marker', id: m.id ?? null, message: 'missing timestamp' });
+    if (error) report.malformed.push({ kind: 'marker', id: m.id ?? null, message: Object.entries(error.fields).map(([f, msg]) => `${f}: ${msg}`).join('; ') });
+    seenIds.add(m.id);
+  }
+  for (const [key, arr] of Object.entries(tipsByKey)) {
+    for (const t of arr) {
+      const { error } = await parseBody(schemas.tipCreate, t);
+      if (!t.id) report.malformed.push({ kind: 'tip', id: null, key, message: 'missing id' });
+      if (!Number.isFinite(Number(t.timestamp))) report.malformed.push({ kind: 'tip', id: t.id ?? null, key, message: 'missing timestamp' });
+      if (error) report.malformed.push({ kind: 'tip', id: t.id ?? null, key, message: Object.entries(error.fields).map(([f, msg]) => `${f}: ${msg}`).join('; ') });
+    }
+  }
+
+  // Photos: referenced → must exist (every size of a processed one); on disk → should be referenced
+  const referenced = new Set();
+  for (const { url, owner } of photoRefs(markers, tipsByKey)) {
+    if (typeof url !== 'string' || !url.startsWith(UPLOAD_PREFIX)) continue;   // reported as malformed above
+    const dir = path.posix.dirname(url.slice(UPLOAD_PREFIX.length));
+    for (const name of photoFileNames(url)) {
+      const rel = `${dir}/${name}`;
+      referenced.add(rel);
+      if (!fs.existsSync(path.join(uploadsDir, rel))) {
+        report.missingPhotos.push({ url: `${UPLOAD_PREFIX}${rel}`, owner, message: 'file not found' });
+      }
+    }
+  }
+  for (const rel of await listFiles(uploadsDir)) {
+    if (referenced.has(rel)) continue;
+    const { size } = await fs.promises.stat(path.join(uploadsDir, rel));
+    report.unreferencedUploads.push({ url: `${UPLOAD_PREFIX}${rel}`, size, message: 'no marker or tip uses it' });
+  }
+
+  return report;
+}
+
+/** Record counts plus disk usage of DATA_DIR / UPLOADS_DIR */
+export async function collectStats({ store, dataDir, uploadsDir }) {
+  const markers = await store.markers.list();
+  const tipsByKey = await store.tips.all();
+  const tips = Object.values(tipsByKey).flat();
+  const reports = await store.reports.list();
+
+  let revisions = 0;
+  for (const m of markers) revisions += (await store.revisions.list('marker', m.id)).length;
+  for (const t of tips) revisions += (await store.revisions.list('tip', t.id)).length;
+
+  const users = new Set([...markers, ...tips].map(r => r.userId).filter(Boolean));
+  const usage = async (dir) => {
+    let files = 0, bytes = 0;
+    for (const rel of await listFiles(dir)) {
+      files++;
+      bytes += (await fs.promises.stat(path.join(dir, rel))).size;
+    }
+    return { files, bytes };
+  };
+
+  return {
+    driver: store.driver,
+    markers: {
+      total: markers.length,
+      trashed: markers.filter(m => m.deletedAt).length,
+      withPhotos: markers.filter(m => m.photos?.length).length
+    },
+    tips: {
+      total: tips.length,
+      published: tips.filter(t => t.status === 'published' && !t.deletedAt).length,
+      drafts: tips.filter(t => t.status === 'draft' && !t.deletedAt).length,
+      trashed: tips.filter(t => t.deletedAt).length,
+      hidden: tips.filter(t => t.hiddenAt && !t.deletedAt).length,
+      keys: Object.keys(tipsByKey).length
+    },
+    reports: {
+      total: reports.length,
+      open: reports.filter(r => r.status === 'open').length
+    },
+    categories: (await store.categories.list()).length,
+    contributors: users.size,
+    revisions,
+    data: await usage(dataDir),
+    uploads: await usage(uploadsDir)
+  };
+}
@@ -0,0 +1,99 @@
+// src/auth.js
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Passwords (scrypt, self-describing hash string) */
+// ──────────────────────────────────────────────────────────────────────────────
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LEN = 64;
+
+/** → "scrypt$N$r$p$<salt b64>$<hash b64>" */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(String(password), salt, KEY_LEN, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [algo, N, r, p, saltB64, hashB64] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Signed cookie sessions */
+// ──────────────────────────────────────────────────────────────────────────────
+export const SESSION_COOKIE = 'eg_session';
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+/**
+ * Stateless sessions: the cookie carries `<userId>.<expiresMs>.<hmac>`, so
+ * nothing is stored server-side and rotating `secret` signs everyone out.
+ */
+export function createSessions({ secret, maxAgeMs = 30 * 24 * 60 * 60 * 1000, secure = false }) {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const cookieAttrs = (maxAgeSec) =>
+    `Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSec}${secure ? '; Secure' : ''}`;
+
+  return {
+    issue(res, userId) {
+      const payload = `${userId}.${Date.now() + maxAgeMs}`;
+      const value = encodeURIComponent(`${payload}.${sign(payload)}`);
+      res.append('Set-Cookie', `${SESSION_COOKIE}=${value}; ${cookieAttrs(Math.floor(maxAgeMs / 1000))}`);
+    },
+
+    clear(res) {
+      res.append('Set-Cookie', `${SESSION_COOKIE}=; ${cookieAttrs(0)}`);
+    },
+
+    /** → userId, or null when the cookie is missing, tampered with or expired */
+    read(req) {
+      const raw = readCookie(req, SESSION_COOKIE);
+      if (!raw) return null;
+      const [userId, exp, sig] = raw.split('.');
+      if (!userId || !exp || !sig) return null;
+      const want = Buffer.from(sign(`${userId}.${exp}`));
+      const got = Buffer.from(sig);
+      if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) return null;
+      if (!(Number(exp) > Date.now())) return null;
+      return userId;
+    }
+  };
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Public author keys */
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * Records name their author by an opaque key instead of the user id: ids of
+ * pre-account browsers are what /api/auth/claim takes as proof, so no user id
+ * may ever show up in a public response. Same secret → same key for a user.
+ * @returns {(userId: string|null) => string|null}
+ */
+export function createAuthorKeys(secret) {
+  const known = new Map();   // one entry per account; marker filters ask for every marker
+  return (userId) => {
+    if (!userId) return null;
+    if (!known.has(userId)) {
+      known.set(userId, crypto.createHmac('sha256', secret).update(`author:${userId}`).digest('base64url').slice(0, 22));
+    }
+    return known.get(userId);
+  };
+}
@@ -0,0 +1,80 @@
+// src/categories.js
+import { CATEGORY_META } from './interchange/categories.js';
+import { sanitizeSvg } from './svgSanitize.js';
+
+// Icons for the built-ins (formerly inlined in client/src/main.js)
+const BUILTIN_SVGS = {
+  plant: '<svg viewBox="0 0 24 24"><path fill="#2e7d32" d="M12 2c-3.5 2.5-5 5.5-5 9 0 3.9 2.6 7 5 9 2.4-2 5-5.1 5-9 0-3.5-1.5-6.5-5-9z"/></svg>',
+  history: '<svg viewBox="0 0 24 24"><path fill="#6d4c41" d="M12 2 4 6h16L12 2zm-7 8h14v2H5v-2zm2 4h10v6H7v-6z"/></svg>',
+  misc: '<svg viewBox="0 0 24 24"><path fill="#d219b0" d="M12 2a7 7 0 0 1 7 7c0 5-7 13-7 13S5 14 5 9a7 7 0 0 1 7-7zm0 9.5a2.5 2.5 0 1 0 0-5 2.5 2.5 0 0 0 0 5z"/></svg>'
+};
+
+const KEY_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+const slugify = (s) => String(s ?? '').toLowerCase().normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+
+const invalid = (field, message) => ({ error: { message, fields: { [field]: message } } });
+
+/**
+ * Validate a create (full) or update (partial) body.
+ * → { value } with only the fields that were sent, or { error: { message, fields } }.
+ */
+export function validateCategory(body, { partial = false } = {}) {
+  const value = {};
+  const has = (k) => body?.[k] !== undefined;
+
+  if (!partial) {
+    const key = has('key') && body.key !== '' ? String(body.key).trim().toLowerCase() : slugify(body?.label);
+    if (!KEY_RE.test(key)) return invalid('key', 'Key must be 1–32 lowercase letters, digits or dashes');
+    value.key = key;
+  }
+  if (!partial || has('label')) {
+    const label = String(body?.label ?? '').trim();
+    if (!label || label.length > 40) return invalid('label', 'Label must be 1–40 characters');
+    value.label = label;
+  }
+  if (!partial || has('glyph')) {
+    const glyph = String(body?.glyph ?? '').trim() || '📍';
+    if ([...glyph].length > 4) return invalid('glyph', 'Glyph must be a single emoji or up to 4 characters');
+    value.glyph = glyph;
+  }
+  if (!partial || has('color')) {
+    const color = String(body?.color ?? '').trim() || CATEGORY_META.misc.color;
+    if (!COLOR_RE.test(color)) return invalid('color', 'Color must look like #2e7d32');
+    value.color = color.toLowerCase();
+  }
+  if (has('svg')) {
+    if (body.svg === null || body.svg === '') value.svg = null;
+    else {
+      const { svg, error } = sanitizeSvg(body.svg);
+      if (error) return invalid('svg', error);
+      value.svg = svg;
+    }
+  }
+  return { value };
+}
+
+/** Store-backed category list, seeded with the built-ins on first start. */
+export function createCategoryRegistry(store) {
+  return {
+    async ensureBuiltins() {
+      for (const [key, meta] of Object.entries(CATEGORY_META)) {
+        if (await store.categories.get(key)) continue;
+        await store.categories.create({
+          key, label: meta.label, glyph: meta.glyph, color: meta.color, gpxSym: meta.gpxSym,
+          svg: BUILTIN_SVGS[key] || null, builtin: true, userId: null, createdAt: Date.now()
+        });
+      }
+    },
+
+    list: () => store.categories.list(),
+    get: (key) => store.categories.get(key),
+
+    /** { key: meta } for the interchange helpers */
+    async map() {
+      return Object.fromEntries((await store.categories.list()).map(c => [c.key, c]));
+    }
+  };
+}
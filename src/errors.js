@@ -0,0 +1,34 @@
+// src/errors.js
+// One error shape for the whole API:
+//   { "error": { "code": "validation_failed", "message": "…", "fields": { "lat": "…" } } }
+// `fields` (body field → what's wrong with it) only appears on validation errors.
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error'
+};
+
+export function errorBody(status, message, { code, fields, detail } = {}) {
+  return {
+    error: {
+      code: code || STATUS_CODES[status] || 'error',
+      message,
+      ...(fields ? { fields } : {}),
+      ...(detail ? { detail } : {})
+    }
+  };
+}
+
+export const sendError = (res, status, message, opts) =>
+  res.status(status).json(errorBody(status, message, opts));
+
+/** 400 for a failed parseBody()/validateX() result: { message, fields } */
+export const sendInvalid = (res, { message, fields }) =>
+  sendError(res, 400, message, { code: 'validation_failed', fields });
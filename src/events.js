@@ -0,0 +1,53 @@
+// src/events.js
+// Server-Sent Events fan-out for GET /api/events. Every open map keeps one
+// stream; a change is written to all of them as
+//   event: <type>\nid: <n>\ndata: <json>\n\n
+// Only public data goes out (the stream is the same for everyone), so callers
+// publish what an anonymous viewer could see. Nothing is replayed on reconnect:
+// a client that was away reloads what it shows.
+
+const HEARTBEAT_MS = 25 * 1000;   // keeps proxies from closing an idle stream
+
+/**
+ * @param {{ maxClients?: number }} [opts]
+ * @returns {{ subscribe(req, res): boolean, publish(type: string, data: object): void, readonly size: number }}
+ */
+export function createEventHub({ maxClients = 1000 } = {}) {
+  const clients = new Set();
+  let lastId = 0;
+
+  // compression() buffers responses; flush() pushes each frame out right away
+  const send = (res, chunk) => {
+    res.write(chunk);
+    res.flush?.();
+  };
+
+  setInterval(() => {
+    for (const res of clients) send(res, ': ping\n\n');
+  }, HEARTBEAT_MS).unref();
+
+  return {
+    get size() { return clients.size; },
+
+    /** Turn `res` into an event stream; false (nothing written) when the hub is full */
+    subscribe(req, res) {
+      if (clients.size >= maxClients) return false;
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      send(res, 'retry: 5000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return true;
+    },
+
+    publish(type, data) {
+      if (!clients.size) return;
+      const frame = `event: ${type}\nid: ${++lastId}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const res of clients) send(res, frame);
+    }
+  };
+}
@@ -0,0 +1,95 @@
+// src/exif.js
+// Just enough of a TIFF/EXIF reader to get a photo's GPS position and capture
+// time out of the raw EXIF block sharp hands back (metadata().exif). Only the
+// tags below are read; anything malformed comes back as null rather than throwing.
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const TAG = {
+  exifIfd: 0x8769, gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003, offsetTimeOriginal: 0x9011,
+  gpsLatRef: 0x01, gpsLat: 0x02, gpsLonRef: 0x03, gpsLon: 0x04, gpsTime: 0x07, gpsDate: 0x1d
+};
+
+function reader(buf) {
+  const start = buf.subarray(0, 6).toString('latin1') === 'Exif\0\0' ? 6 : 0;
+  const order = buf.subarray(start, start + 2).toString('latin1');
+  if (order !== 'II' && order !== 'MM') return null;
+  const le = order === 'II';
+  const u16 = (o) => le ? buf.readUInt16LE(start + o) : buf.readUInt16BE(start + o);
+  const u32 = (o) => le ? buf.readUInt32LE(start + o) : buf.readUInt32BE(start + o);
+  if (u16(2) !== 42) return null;
+
+  /** IFD at `offset` → Map(tag → value); rationals become numbers, ASCII a trimmed string */
+  function ifd(offset) {
+    const tags = new Map();
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const e = offset + 2 + i * 12;
+      const tag = u16(e), type = u16(e + 2), n = u32(e + 4);
+      const size = (TYPE_SIZE[type] || 0) * n;
+      if (!size) continue;
+      const at = size <= 4 ? e + 8 : u32(e + 8);
+      if (start + at + size > buf.length) continue;
+      if (type === 2) tags.set(tag, buf.subarray(start + at, start + at + n).toString('latin1').replace(/\0.*$/s, '').trim());
+      else if (type === 5 || type === 10) {
+        const vals = [];
+        for (let k = 0; k < n; k++) {
+          const num = type === 5 ? u32(at + k * 8) : (le ? buf.readInt32LE(start + at + k * 8) : buf.readInt32BE(start + at + k * 8));
+          const den = u32(at + k * 8 + 4);
+          vals.push(den ? num / den : NaN);
+        }
+        tags.set(tag, vals);
+      } else if (type === 3) tags.set(tag, u16(at));
+      else if (type === 4) tags.set(tag, u32(at));
+    }
+    return tags;
+  }
+  return { ifd, first: u32(4) };
+}
+
+const dms = ([d, m = 0, s = 0] = []) => d + m / 60 + s / 3600;
+const pad = (n) => String(Math.floor(n)).padStart(2, '0');
+
+/**
+ * @param {Buffer|undefined} exif raw EXIF block (with or without the "Exif\0\0" header)
+ * @returns {{ location: { lat: number, lon: number } | null, takenAt: string | null }}
+ *   takenAt is ISO 8601: with the camera's UTC offset, from the GPS clock (Z),
+ *   or, when the photo says neither, a local time without a zone
+ */
+export function readPhotoExif(exif) {
+  const out = { location: null, takenAt: null };
+  if (!Buffer.isBuffer(exif) || exif.length < 14) return out;
+  try {
+    const r = reader(exif);
+    if (!r) return out;
+    const ifd0 = r.ifd(r.first);
+    const ex = ifd0.has(TAG.exifIfd) ? r.ifd(ifd0.get(TAG.exifIfd)) : new Map();
+    const gps = ifd0.has(TAG.gpsIfd) ? r.ifd(ifd0.get(TAG.gpsIfd)) : new Map();
+
+    if (gps.has(TAG.gpsLat) && gps.has(TAG.gpsLon)) {
+      const lat = dms(gps.get(TAG.gpsLat)) * (gps.get(TAG.gpsLatRef) === 'S' ? -1 : 1);
+      const lon = dms(gps.get(TAG.gpsLon)) * (gps.get(TAG.gpsLonRef) === 'W' ? -1 : 1);
+      // 0,0 is what some cameras write when they had no fix
+      if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180 && (lat || lon)) {
+        out.location = { lat: Number(lat.toFixed(6)), lon: Number(lon.toFixed(6)) };
+      }
+    }
+
+    // "2024:06:01 14:03:22" (+ "-05:00") → ISO
+    const local = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/.exec(ex.get(TAG.dateTimeOriginal) || '');
+    const offset = /^[+-]\d{2}:\d{2}$/.test(ex.get(TAG.offsetTimeOriginal) || '') ? ex.get(TAG.offsetTimeOriginal) : null;
+    const gpsDay = /^(\d{4}):(\d{2}):(\d{2})$/.exec(gps.get(TAG.gpsDate) || '');
+    const gpsTime = gps.get(TAG.gpsTime);
+    if (local && offset) {
+      out.takenAt = `${local[1]}-${local[2]}-${local[3]}T${local[4]}:${local[5]}:${local[6]}${offset}`;
+    } else if (gpsDay && Array.isArray(gpsTime) && gpsTime.every(Number.isFinite)) {
+      out.takenAt = `${gpsDay[1]}-${gpsDay[2]}-${gpsDay[3]}T${pad(gpsTime[0])}:${pad(gpsTime[1])}:${pad(gpsTime[2] || 0)}Z`;
+    } else if (local) {
+      out.takenAt = `${local[1]}-${local[2]}-${local[3]}T${local[4]}:${local[5]}:${local[6]}`;
+    }
+    if (out.takenAt && !Number.isFinite(Date.parse(out.takenAt))) out.takenAt = null;
+  } catch {
+    // truncated or odd EXIF: treat as none
+  }
+  return out;
+}
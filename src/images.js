@@ -0,0 +1,121 @@
+// src/images.js
+// Upload pipeline for tip and marker photos. The raw upload never touches the
+// disk: its type is sniffed from the magic bytes, then sharp re-encodes it into
+// fixed-width variants with EXIF orientation applied and every bit of metadata
+// (GPS included) dropped. HEIC/HEIF comes out as JPEG/WebP like everything else.
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import decodeHeic from 'heic-decode';
+import { fileTypeFromBuffer } from 'file-type';
+
+export const IMAGE_MAX_BYTES = 6 * 1024 * 1024;
+const ACCEPTED = new Set([
+  'image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif',
+  'image/heic', 'image/heic-sequence', 'image/heif', 'image/heif-sequence'
+]);
+const HEIF = /^image\/hei[cf]/;
+// HEVC pixels are decoded to raw RGBA in memory (4 bytes each); 48 MP ≈ 190 MB
+const HEVC_MAX_PIXELS = 48_000_000;
+
+// Widths are upper bounds (smaller images are never enlarged); `full` is the
+// canonical URL stored on the tip or marker, the others hang off its name.
+export const IMAGE_VARIANTS = {
+  thumb: { width: 320, format: 'webp', quality: 75 },
+  display: { width: 1024, format: 'webp', quality: 80 },
+  full: { width: 2048, format: 'jpeg', quality: 85 }
+};
+const EXT = { webp: 'webp', jpeg: 'jpg' };
+
+// Upload URL prefix → subdirectory of UPLOADS_DIR
+export const PHOTO_DIRS = { '/uploads/tips/': 'tips', '/uploads/markers/': 'markers' };
+const FULL_RE = /\.full\.jpg$/;
+
+const rejected = (message) => Object.assign(new Error(message), { code: 'upload_rejected' });
+const unreadable = () => rejected('The image could not be read');
+
+/**
+ * The variants behind a stored photo URL → { thumb, display, full: { url, width } },
+ * or null for files saved before the pipeline existed (served as uploaded).
+ */
+export function photoVariants(url) {
+  if (typeof url !== 'string' || !FULL_RE.test(url)) return null;
+  const base = url.replace(FULL_RE, '');
+  return Object.fromEntries(Object.entries(IMAGE_VARIANTS).map(([name, v]) =>
+    [name, { url: `${base}.${name}.${EXT[v.format]}`, width: v.width }]));
+}
+
+/** Every file name on disk that belongs to a stored photo URL */
+export const photoFileNames = (url) => (photoVariants(url)
+  ? Object.values(photoVariants(url)).map(v => v.url)
+  : [url]).map(u => path.posix.basename(u));
+
+/**
+ * Sniff an upload and read its header (sharp metadata, raw `exif` block included).
+ * @throws Error with code 'upload_rejected' when it isn't an image we take or can read
+ */
+export async function readImage(buffer) {
+  const type = await fileTypeFromBuffer(buffer);
+  if (!type || !ACCEPTED.has(type.mime)) {
+    throw rejected('Only JPEG, PNG, WebP, GIF, AVIF and HEIC/HEIF images are allowed');
+  }
+  try {
+    return { type, metadata: await sharp(buffer).metadata() };
+  } catch {
+    throw unreadable();
+  }
+}
+
+/**
+ * A factory for sharp pipelines over the upload's pixels. sharp's prebuilt
+ * libvips parses HEIF but only decodes AV1 (AVIF), not the HEVC inside phone
+ * HEIC photos, so those go through libheif (wasm) to raw RGBA first. libheif
+ * applies the container's rotation and mirroring itself.
+ */
+async function pixelSource(buffer, { type, metadata }) {
+  if (!HEIF.test(type.mime) || metadata.compression !== 'hevc') return () => sharp(buffer);
+  if (metadata.width * metadata.height > HEVC_MAX_PIXELS) throw rejected('The image is too large');
+  let decoded;
+  try {
+    decoded = await decodeHeic({ buffer });
+  } catch {
+    throw unreadable();
+  }
+  const { width, height, data } = decoded;
+  const pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return () => sharp(pixels, { raw: { width, height, channels: 4 } });
+}
+
+/**
+ * Check and re-encode one upload into `dir`.
+ * @param {Buffer} buffer the uploaded bytes
+ * @param {{ dir: string, urlPrefix: string }} opts urlPrefix ends with '/'
+ * @returns {Promise<{ url: string, variants: object }>} url is the `full` variant
+ * @throws Error with code 'upload_rejected' for anything that isn't a readable image
+ */
+export async function processImage(buffer, { dir, urlPrefix }) {
+  const image = await readImage(buffer);
+  const source = await pixelSource(buffer, image);
+
+  const base = `${Date.now()}-${crypto.randomUUID()}`;
+  const written = [];
+  try {
+    for (const [name, v] of Object.entries(IMAGE_VARIANTS)) {
+      const file = `${base}.${name}.${EXT[v.format]}`;
+      await source()
+        .rotate()   // bake in the EXIF orientation before the metadata goes
+        .resize({ width: v.width, withoutEnlargement: true })
+        .toFormat(v.format, { quality: v.quality })
+        .toFile(path.join(dir, file));
+      written.push(file);
+    }
+  } catch (e) {
+    await Promise.all(written.map(f => fs.promises.rm(path.join(dir, f), { force: true })));
+    if (e.code) throw e;   // disk trouble (ENOSPC, EACCES, …); sharp's decode errors carry no code
+    throw unreadable();
+  }
+
+  const url = `${urlPrefix}${base}.full.jpg`;
+  return { url, variants: photoVariants(url) };
+}
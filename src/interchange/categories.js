@@ -0,0 +1,46 @@
+// src/interchange/categories.js
+// Built-in categories. User-defined ones live in the store (see src/categories.js);
+// the helpers below take the merged `categories` map ({ key: meta }) and fall
+// back to these.
+
+export const CATEGORY_META = {
+  plant:   { label: 'Plant',   glyph: '🌿', color: '#2e7d32', gpxSym: 'Park' },
+  history: { label: 'History', glyph: '🏛', color: '#6d4c41', gpxSym: 'Museum' },
+  misc:    { label: 'Misc',    glyph: '📍', color: '#d219b0', gpxSym: 'Flag, Blue' }
+};
+
+// Garmin/OsmAnd symbol names we can reasonably fold into our categories.
+const SYM_HINTS = [
+  [/park|forest|tree|plant|flower|garden|picnic|fishing|hunting/i, 'plant'],
+  [/museum|historic|monument|ruin|building|church|cemetery|castle|memorial/i, 'history']
+];
+
+/** Best-effort: a KML folder name, GPX <sym>/<type> or style id → category key */
+export function categoryFromHint(hints, categories = CATEGORY_META) {
+  for (const raw of hints) {
+    const h = String(raw ?? '').trim();
+    if (!h) continue;
+    const lower = h.toLowerCase().replace(/^#?cat-/, '');
+    for (const [key, meta] of Object.entries(categories)) {
+      if (lower === key || lower === meta.label.toLowerCase()) return key;
+    }
+    for (const [re, key] of SYM_HINTS) if (re.test(h)) return key;
+  }
+  return 'misc';
+}
+
+/** Known keys match case-insensitively; unknown values are kept as stored. */
+export const normalizeCategoryKey = (c, categories = CATEGORY_META) => {
+  const k = String(c ?? '').trim();
+  if (!k) return 'misc';
+  return k.toLowerCase() in categories ? k.toLowerCase() : k;
+};
+
+/** Meta for a (normalized) key; unknown keys borrow misc's look under their own name. */
+export const categoryMetaFor = (key, categories = CATEGORY_META) =>
+  categories[key] || { ...CATEGORY_META.misc, label: key };
+
+export const escapeXML = (s) => String(s ?? '').replace(/[&<>"']/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+export const isoTime = (ts) => (Number.isFinite(Number(ts)) ? new Date(Number(ts)).toISOString() : null);
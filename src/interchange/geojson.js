@@ -0,0 +1,78 @@
+// src/interchange/geojson.js
+
+/**
+ * Custom markers → GeoJSON FeatureCollection (RFC 7946: [lon, lat]).
+ * `tipsByKey` (optional) maps "custom:<id>" → published tips to embed.
+ */
+export function markersToFeatureCollection(markers, { tipsByKey } = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: markers
+      .filter(m => Number.isFinite(Number(m.lat)) && Number.isFinite(Number(m.lon)))
+      .map(m => {
+        const properties = {
+          id: m.id,
+          title: m.title ?? '',
+          category: m.category ?? null,
+          description: m.description ?? '',
+          timestamp: m.timestamp ?? null,
+          time: Number.isFinite(Number(m.timestamp)) ? new Date(Number(m.timestamp)).toISOString() : null,
+          observedAt: m.observedAt != null ? new Date(Number(m.observedAt)).toISOString() : null
+        };
+        if (tipsByKey) {
+          properties.tips = (tipsByKey[`custom:${m.id}`] || []).map(t => ({
+            id: t.id, text: t.text, timestamp: t.timestamp, photoUrl: t.photoUrl || null, parentId: t.parentId ?? null,
+            expiresAt: t.expiresAt ?? null
+          }));
+        }
+        return {
+          type: 'Feature',
+          id: m.id,
+          geometry: { type: 'Point', coordinates: [Number(m.lon), Number(m.lat)] },
+          properties
+        };
+      })
+  };
+}
+
+/**
+ * GeoJSON (FeatureCollection or a single Feature) → marker inputs for the
+ * normal create path. Only Point features are accepted; everything else is
+ * reported in `errors` with its feature index rather than failing the batch.
+ * Returns { inputs, errors } or { error } when the document itself is wrong.
+ */
+export function featuresToMarkerInputs(doc) {
+  let features;
+  if (doc?.type === 'FeatureCollection' && Array.isArray(doc.features)) features = doc.features;
+  else if (doc?.type === 'Feature') features = [doc];
+  else return { error: 'Expected a GeoJSON FeatureCollection' };
+
+  const inputs = [];
+  const errors = [];
+  features.forEach((f, index) => {
+    const g = f?.geometry;
+    if (f?.type !== 'Feature' || g?.type !== 'Point' || !Array.isArray(g.coordinates)) {
+      errors.push({ index, error: 'Not a Point feature' });
+      return;
+    }
+    const [lon, lat] = g.coordinates.map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      errors.push({ index, error: 'Invalid coordinates' });
+      return;
+    }
+    const p = f.properties || {};
+    const title = String(p.title ?? p.name ?? '').trim();
+    if (!title) {
+      errors.push({ index, error: 'Missing title/name property' });
+      return;
+    }
+    inputs.push({
+      index,
+      lat, lon, title,
+      description: p.description != null ? String(p.description) : '',
+      category: p.category != null ? String(p.category) : 'misc',
+      ...(p.observedAt != null ? { observedAt: p.observedAt } : {})
+    });
+  });
+  return { inputs, errors };
+}
@@ -0,0 +1,87 @@
+// src/interchange/gpx.js
+import { XMLParser } from 'fast-xml-parser';
+import { CATEGORY_META, categoryFromHint, normalizeCategoryKey, categoryMetaFor, escapeXML, isoTime } from './categories.js';
+
+// Exported gauges carry this <type> so a round-trip import can skip them.
+const GAUGE_TYPE = 'usgs-gauge';
+
+/** Custom markers (+ optional USGS gauges) → GPX 1.1 waypoints */
+export function toGpx({ markers = [], gauges = [], categories = CATEGORY_META }) {
+  const wpt = (lat, lon, inner) =>
+    `  <wpt lat="${Number(lat).toFixed(7)}" lon="${Number(lon).toFixed(7)}">\n${inner}\n  </wpt>`;
+
+  const rows = [
+    ...markers
+      .filter(m => Number.isFinite(Number(m.lat)) && Number.isFinite(Number(m.lon)))
+      .map(m => {
+        const cat = normalizeCategoryKey(m.category, categories);
+        const time = isoTime(m.timestamp);
+        return wpt(m.lat, m.lon, [
+          time ? `    <time>${time}</time>` : '',
+          `    <name>${escapeXML(m.title)}</name>`,
+          m.description ? `    <desc>${escapeXML(m.description)}</desc>` : '',
+          `    <sym>${escapeXML(categoryMetaFor(cat, categories).gpxSym || CATEGORY_META.misc.gpxSym)}</sym>`,
+          `    <type>${escapeXML(cat)}</type>`
+        ].filter(Boolean).join('\n'));
+      }),
+    ...gauges.map(g => wpt(g.lat, g.lon, [
+      `    <name>${escapeXML(`${g.name} (USGS #${g.id})`)}</name>`,
+      `    <link href="https://waterdata.usgs.gov/monitoring-location/${escapeXML(g.id)}/"><text>USGS ${escapeXML(g.id)}</text></link>`,
+      `    <sym>Flag, Blue</sym>`,
+      `    <type>${GAUGE_TYPE}</type>`
+    ].join('\n')))
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Electric Gavinoe" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Electric Gavinoe</name><time>${new Date().toISOString()}</time></metadata>
+${rows.join('\n')}
+</gpx>
+`;
+}
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) => name === 'wpt'
+});
+
+const text = (v) => (v && typeof v === 'object' ? v['#text'] ?? '' : v ?? '');
+
+/**
+ * GPX waypoints → marker inputs. Tracks and routes are ignored.
+ * Returns { inputs, errors } (errors carry the waypoint index) or { error }.
+ */
+export function gpxToMarkerInputs(xml, { categories = CATEGORY_META } = {}) {
+  let doc;
+  try { doc = parser.parse(xml); } catch (e) { return { error: `Invalid GPX: ${e.message}` }; }
+  if (!doc?.gpx) return { error: 'Expected a <gpx> document' };
+
+  const inputs = [];
+  const errors = [];
+  (doc.gpx.wpt || []).forEach((w, index) => {
+    const lat = Number(w['@lat']), lon = Number(w['@lon']);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      errors.push({ index, error: 'Invalid coordinates' });
+      return;
+    }
+    if (String(text(w.type)) === GAUGE_TYPE) {
+      errors.push({ index, error: 'USGS gauge (skipped)' });
+      return;
+    }
+    const title = String(text(w.name)).trim();
+    if (!title) {
+      errors.push({ index, error: 'Missing <name>' });
+      return;
+    }
+    inputs.push({
+      index,
+      lat, lon, title,
+      description: String(text(w.desc) || text(w.cmt) || '').trim(),
+      category: categoryFromHint([text(w.type), text(w.sym)], categories)
+    });
+  });
+  return { inputs, errors };
+}
@@ -0,0 +1,132 @@
+// src/interchange/kml.js
+import { XMLParser } from 'fast-xml-parser';
+import { CATEGORY_META, categoryFromHint, normalizeCategoryKey, categoryMetaFor, escapeXML, isoTime } from './categories.js';
+
+const GAUGE_FOLDER = 'USGS gauges';
+
+// KML colours are aabbggrr
+const kmlColor = (hex) => {
+  const h = String(hex).replace('#', '');
+  return `ff${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`;
+};
+
+/** Custom markers (one styled Folder per category) + optional USGS gauges → KML 2.2 */
+export function toKml({ markers = [], gauges = [], categories = CATEGORY_META }) {
+  const byCat = {};
+  for (const m of markers) {
+    if (!Number.isFinite(Number(m.lat)) || !Number.isFinite(Number(m.lon))) continue;
+    (byCat[normalizeCategoryKey(m.category, categories)] ||= []).push(m);
+  }
+  // Known categories first (in their order), then any stored-but-unknown ones
+  const catKeys = [...Object.keys(categories), ...Object.keys(byCat).filter(k => !(k in categories))];
+  const styleId = (key) => `cat-${String(key).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+
+  const styles = [
+    ...catKeys.map(key => ({ id: styleId(key), color: categoryMetaFor(key, categories).color })),
+    { id: 'usgs-gauge', color: '#2b7de9' }
+  ].map(s => `    <Style id="${s.id}">
+      <IconStyle><color>${kmlColor(s.color)}</color><Icon><href>https://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon></IconStyle>
+    </Style>`).join('\n');
+
+  const placemark = ({ name, description, styleId, lat, lon, when, extra = '' }) => `      <Placemark>
+        <name>${escapeXML(name)}</name>${description ? `
+        <description>${escapeXML(description)}</description>` : ''}${when ? `
+        <TimeStamp><when>${when}</when></TimeStamp>` : ''}
+        <styleUrl>#${styleId}</styleUrl>${extra}
+        <Point><coordinates>${Number(lon).toFixed(7)},${Number(lat).toFixed(7)}</coordinates></Point>
+      </Placemark>`;
+
+  const folders = catKeys
+    .filter(key => byCat[key]?.length)
+    .map(key => `    <Folder>
+      <name>${escapeXML(categoryMetaFor(key, categories).label)}</name>
+${byCat[key].map(m => placemark({
+  name: m.title, description: m.description, styleId: styleId(key),
+  lat: m.lat, lon: m.lon, when: isoTime(m.timestamp)
+})).join('\n')}
+    </Folder>`);
+
+  if (gauges.length) {
+    folders.push(`    <Folder>
+      <name>${GAUGE_FOLDER}</name>
+${gauges.map(g => placemark({
+  name: `${g.name} (USGS #${g.id})`,
+  description: `https://waterdata.usgs.gov/monitoring-location/${g.id}/`,
+  styleId: 'usgs-gauge', lat: g.lat, lon: g.lon,
+  extra: `
+        <ExtendedData><Data name="usgsSite"><value>${escapeXML(g.id)}</value></Data></ExtendedData>`
+})).join('\n')}
+    </Folder>`);
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Electric Gavinoe</name>
+${styles}
+${folders.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: (name) => ['Folder', 'Placemark', 'Document', 'Data'].includes(name)
+});
+
+const text = (v) => (v && typeof v === 'object' ? v['#text'] ?? '' : v ?? '');
+
+// Walk Document/Folder nesting, remembering the closest folder name.
+function collectPlacemarks(node, folder, out) {
+  for (const p of node?.Placemark || []) out.push({ p, folder });
+  for (const d of node?.Document || []) collectPlacemarks(d, folder, out);
+  for (const f of node?.Folder || []) collectPlacemarks(f, String(text(f.name)).trim() || folder, out);
+  return out;
+}
+
+/**
+ * KML Point Placemarks → marker inputs; the enclosing Folder (or the
+ * placemark's style) picks the category. Returns { inputs, errors } or { error }.
+ */
+export function kmlToMarkerInputs(xml, { categories = CATEGORY_META } = {}) {
+  let doc;
+  try { doc = parser.parse(xml); } catch (e) { return { error: `Invalid KML: ${e.message}` }; }
+  if (!doc?.kml) return { error: 'Expected a <kml> document' };
+
+  const inputs = [];
+  const errors = [];
+  collectPlacemarks(doc.kml, '', []).forEach(({ p, folder }, index) => {
+    const isGauge = folder === GAUGE_FOLDER ||
+      (p.ExtendedData?.Data || []).some(d => d?.['@name'] === 'usgsSite');
+    if (isGauge) {
+      errors.push({ index, error: 'USGS gauge (skipped)' });
+      return;
+    }
+    const coords = String(text(p.Point?.coordinates)).trim();
+    if (!coords) {
+      errors.push({ index, error: 'Not a Point placemark' });
+      return;
+    }
+    const [lon, lat] = coords.split(/[\s,]+/).map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      errors.push({ index, error: 'Invalid coordinates' });
+      return;
+    }
+    const title = String(text(p.name)).trim();
+    if (!title) {
+      errors.push({ index, error: 'Missing <name>' });
+      return;
+    }
+    inputs.push({
+      index,
+      lat, lon, title,
+      description: String(text(p.description)).trim(),
+      category: categoryFromHint([folder, text(p.styleUrl)], categories)
+    });
+  });
+  return { inputs, errors };
+}
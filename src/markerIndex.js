@@ -0,0 +1,133 @@
+// src/markerIndex.js
+
+// Plain code-unit order (not localeCompare): it has to agree with itself
+// between sorting a page and resuming after a cursor.
+const compareIds = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * In-memory spatial index over custom markers: a fixed lat/lon grid of ids
+ * plus an id → marker map. Built once from the store at startup and kept in
+ * step by the marker routes, so viewport queries never touch the disk.
+ * `authorOf(marker)` gives the public authorId the `authorId` filter matches.
+ */
+export function createMarkerIndex({ cellDeg = 0.25, authorOf = () => null } = {}) {
+  const byId  = new Map();   // id -> marker
+  const cells = new Map();   // "cx:cy" -> Set<id>
+  const cellOf = new Map();  // id -> "cx:cy"
+
+  const cx = (lon) => Math.floor(lon / cellDeg);
+  const cy = (lat) => Math.floor(lat / cellDeg);
+  const coords = (m) => {
+    const lat = Number(m.lat), lon = Number(m.lon);
+    return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+  };
+
+  function remove(id) {
+    const key = cellOf.get(id);
+    if (key) {
+      const set = cells.get(key);
+      set?.delete(id);
+      if (set && !set.size) cells.delete(key);
+      cellOf.delete(id);
+    }
+    return byId.delete(id);
+  }
+
+  function upsert(m) {
+    if (!m?.id) return;
+    remove(m.id);
+    byId.set(m.id, m);
+    const c = coords(m);
+    if (!c) return;
+    const key = `${cx(c.lon)}:${cy(c.lat)}`;
+    if (!cells.has(key)) cells.set(key, new Set());
+    cells.get(key).add(m.id);
+    cellOf.set(m.id, key);
+  }
+
+  function load(list) {
+    byId.clear(); cells.clear(); cellOf.clear();
+    for (const m of list) upsert(m);
+  }
+
+  // Candidates inside one lon/lat box: walk the grid when that's cheaper than
+  // scanning everything, then filter exactly.
+  function inBox(west, south, east, north) {
+    const spanCells = (cx(east) - cx(west) + 1) * (cy(north) - cy(south) + 1);
+    const hit = (m) => {
+      const c = coords(m);
+      return c && c.lon >= west && c.lon <= east && c.lat >= south && c.lat <= north;
+    };
+    if (spanCells > cells.size) return [...byId.values()].filter(hit);
+
+    const out = [];
+    for (let x = cx(west); x <= cx(east); x++) {
+      for (let y = cy(south); y <= cy(north); y++) {
+        const set = cells.get(`${x}:${y}`);
+        if (!set) continue;
+        for (const id of set) {
+          const m = byId.get(id);
+          if (hit(m)) out.push(m);
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * @param {object} q
+   * @param {number[]} [q.bbox]       [west, south, east, north]; west > east wraps the antimeridian
+   * @param {string[]} [q.categories]
+   * @param {string}   [q.authorId]
+   * @param {number}   [q.since]      ms epoch; markers with timestamp >= since
+   * @param {number}   [q.limit]
+   * @param {object}   [q.after]      { timestamp, id } from a cursor
+   * @returns {{ items: object[], next: { timestamp, id } | null }}
+   */
+  function query({ bbox, categories, authorId, since, limit, after } = {}) {
+    let rows;
+    if (bbox) {
+      const [west, south, east, north] = bbox;
+      rows = west <= east
+        ? inBox(west, south, east, north)
+        : [...inBox(west, south, 180, north), ...inBox(-180, south, east, north)];
+    } else {
+      rows = [...byId.values()];
+    }
+
+    if (categories?.length) rows = rows.filter(m => categories.includes(String(m.category || '').toLowerCase()));
+    if (authorId) rows = rows.filter(m => authorOf(m) === authorId);
+    if (since != null) rows = rows.filter(m => (Number(m.timestamp) || 0) >= since);
+
+    // Stable order for paging: oldest first, id as tiebreaker. The cursor check
+    // uses the same comparator, so a page boundary inside a run of equal
+    // timestamps neither skips nor repeats markers.
+    const ts = (m) => Number(m.timestamp) || 0;
+    const order = (a, b) => ts(a) - ts(b) || compareIds(String(a.id), String(b.id));
+    rows.sort(order);
+    if (after) rows = rows.filter(m => order(m, after) > 0);
+
+    if (!limit || rows.length <= limit) return { items: rows, next: null };
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    return { items, next: { timestamp: ts(last), id: String(last.id) } };
+  }
+
+  return { load, upsert, remove, query, get size() { return byId.size; } };
+}
+
+// Cursors are opaque to clients: base64url("<timestamp>:<id>")
+export const encodeCursor = ({ timestamp, id }) =>
+  Buffer.from(`${timestamp}:${id}`, 'utf8').toString('base64url');
+
+export function decodeCursor(s) {
+  try {
+    const raw = Buffer.from(String(s), 'base64url').toString('utf8');
+    const i = raw.indexOf(':');
+    const timestamp = Number(raw.slice(0, i));
+    const id = raw.slice(i + 1);
+    return i > 0 && Number.isFinite(timestamp) && id ? { timestamp, id } : null;
+  } catch {
+    return null;
+  }
+}
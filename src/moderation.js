@@ -0,0 +1,129 @@
+// src/moderation.js
+import crypto from 'crypto';
+
+/** "id1, id2" → Set of ids (empty entries dropped) */
+export const parseAdminIds = (value) =>
+  new Set(String(value ?? '').split(',').map(s => s.trim()).filter(Boolean));
+
+/**
+ * Reports against Perceptacle tips and what admins do about them. A report
+ * stays `open` until an admin acts on its tip; once `hideThreshold` different
+ * people have open reports on one tip it is hidden (`hiddenAt`) pending review.
+ * Hidden tips drop out of public lists, search and exports but are not deleted,
+ * so approving one puts it straight back.
+ */
+export function createModeration({ store, adminIds, hideThreshold }) {
+  const isAdmin = (userId) => Boolean(userId) && adminIds.has(userId);
+
+  const openReports = async () => (await store.reports.list()).filter(r => r.status === 'open');
+
+  async function closeReports(tipId, resolution, adminId) {
+    for (const r of await openReports()) {
+      if (r.targetId !== tipId) continue;
+      await store.reports.update(r.id, { status: 'resolved', resolution, resolvedBy: adminId, resolvedAt: Date.now() });
+    }
+  }
+
+  return {
+    isAdmin,
+    hideThreshold,
+
+    async hasOpenReport(tipId, userId) {
+      return (await openReports()).some(r => r.targetId === tipId && r.userId === userId);
+    },
+
+    /**
+     * File a report (caller has checked it isn't a duplicate).
+     * @returns {Promise<{ report, tip }>} tip reflects an auto-hide
+     */
+    async report(tip, userId, { reason, note }) {
+      const report = await store.reports.create({
+        id: crypto.randomUUID(),
+        kind: 'tip',
+        targetId: tip.id,
+        key: tip.key,
+        userId,
+        reason,
+        note,
+        status: 'open',
+        createdAt: Date.now()
+      });
+
+      if (hideThreshold > 0 && !tip.hiddenAt) {
+        const reporters = new Set((await openReports()).filter(r => r.targetId === tip.id).map(r => r.userId));
+        if (reporters.size >= hideThreshold) {
+          const hidden = await store.tips.update(tip.id, { hiddenAt: Date.now(), hiddenBy: null, hiddenReason: 'reports' });
+          tip = { ...hidden, key: tip.key };
+        }
+      }
+      return { report, tip };
+    },
+
+    /**
+     * Tips that need a look: open reports, or hidden. Most-reported first.
+     * @returns {Promise<Array<{ tip, reports, openReports }>>} tip carries its key; reports are all of its reports, newest first
+     */
+    async queue() {
+      const all = await store.reports.list();
+      const byTip = new Map();
+      for (const [key, arr] of Object.entries(await store.tips.all())) {
+        for (const t of arr) byTip.set(t.id, { ...t, key });
+      }
+      const items = new Map();
+      const add = (tip) => {
+        if (!items.has(tip.id)) items.set(tip.id, { tip, reports: [] });
+        return items.get(tip.id);
+      };
+      for (const r of all) {
+        const tip = byTip.get(r.targetId);
+        if (r.status === 'open' && tip && !tip.deletedAt) add(tip);
+      }
+      for (const tip of byTip.values()) if (tip.hiddenAt && !tip.deletedAt) add(tip);
+      for (const r of all) items.get(r.targetId)?.reports.unshift(r);
+
+      const open = (it) => it.reports.filter(r => r.status === 'open').length;
+      const latest = (it) => Math.max(it.tip.hiddenAt || 0, ...it.reports.map(r => r.createdAt));
+      return [...items.values()]
+        .map(it => ({ ...it, openReports: open(it) }))
+        .sort((a, b) => b.openReports - a.openReports || latest(b) - latest(a));
+    },
+
+    /**
+     * approve → visible again · hide → hidden until approved · delete → trash
+     * (only an admin can restore it). Every open report on the tip is resolved.
+     */
+    async act(tip, action, adminId) {
+      const now = Date.now();
+      const patch = {
+        approve: { hiddenAt: null, hiddenBy: null, hiddenReason: null, approvedAt: now, approvedBy: adminId },
+        hide: { hiddenAt: now, hiddenBy: adminId, hiddenReason: 'moderator' },
+        delete: { deletedAt: now, deletedBy: adminId, deletedReason: 'moderation' }
+      }[action];
+      const updated = await store.tips.update(tip.id, patch);
+      await closeReports(tip.id, action, adminId);
+      return { ...updated, key: tip.key };
+    },
+
+    /**
+     * Block/unblock an account; `hideTips` also hides everything it has published.
+     * @returns {{ user, hidden: { key, before, after }[] }} hidden tips, for the caller to announce
+     */
+    async setBlocked(user, blocked, adminId, { hideTips = false } = {}) {
+      const updated = await store.users.update(user.id, blocked
+        ? { blockedAt: Date.now(), blockedBy: adminId }
+        : { blockedAt: null, blockedBy: null });
+      const hidden = [];
+      if (blocked && hideTips) {
+        for (const [key, arr] of Object.entries(await store.tips.all())) {
+          for (const t of arr) {
+            if (t.userId !== user.id || t.deletedAt || t.hiddenAt || t.status !== 'published') continue;
+            const after = await store.tips.update(t.id, { hiddenAt: Date.now(), hiddenBy: adminId, hiddenReason: 'blocked' });
+            await closeReports(t.id, 'hide', adminId);
+            hidden.push({ key, before: t, after });
+          }
+        }
+      }
+      return { user: updated, hidden };
+    }
+  };
+}
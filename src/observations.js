@@ -0,0 +1,48 @@
+// src/observations.js
+// Structured observations on gauge tips: a few fixed-choice fields that can be
+// counted, unlike free text. Stored on the tip as `observation`.
+
+export const OBSERVATION_FIELDS = {
+  clarity: ['clear', 'stained', 'murky', 'muddy'],
+  hazard: ['none', 'strainer', 'logjam', 'debris', 'rocks', 'dam', 'other'],
+  access: ['open', 'limited', 'closed'],
+  // What the water looks like next to the stage USGS is reporting
+  level: ['below', 'matches', 'above']
+};
+
+export const OBSERVATION_WINDOW_HOURS = 48;
+export const OBSERVATION_WINDOW_MAX_HOURS = 24 * 30;
+
+/**
+ * Tally the observations on `tips` (already filtered to what should count).
+ * Per field, values come most-reported first; ties go to the one seen most recently.
+ * @returns {{ reports: number, latestAt: number|null,
+ *   fields: Record<string, Array<{ value: string, count: number }>> }}
+ */
+export function summarizeObservations(tips) {
+  const counts = {};    // field → value → { count, last }
+  let reports = 0;
+  let latestAt = null;
+  for (const t of tips) {
+    if (!t.observation) continue;
+    reports++;
+    const at = Number(t.timestamp) || 0;
+    latestAt = Math.max(latestAt ?? 0, at);
+    for (const field of Object.keys(OBSERVATION_FIELDS)) {
+      const value = t.observation[field];
+      if (!value) continue;
+      counts[field] ??= {};
+      const c = (counts[field][value] ??= { count: 0, last: 0 });
+      c.count++;
+      c.last = Math.max(c.last, at);
+    }
+  }
+
+  const fields = {};
+  for (const field of Object.keys(OBSERVATION_FIELDS)) {
+    fields[field] = Object.entries(counts[field] || {})
+      .sort(([, a], [, b]) => b.count - a.count || b.last - a.last)
+      .map(([value, { count }]) => ({ value, count }));
+  }
+  return { reports, latestAt, fields };
+}
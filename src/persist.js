@@ -0,0 +1,49 @@
+// src/persist.js
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Persistence root (ENV: DISK_ROOT). Falls back to a local folder if unwritable.
+// On Render you’ll set DISK_ROOT=/var/egdata and mount a Disk there.
+// Shared by the server and the command-line scripts so they agree on paths.
+// ──────────────────────────────────────────────────────────────────────────────
+export function pickPersistRoot() {
+  const tryDir = (p) => {
+    try {
+      fs.mkdirSync(p, { recursive: true });
+      fs.accessSync(p, fs.constants.W_OK);
+      return p;
+    } catch {
+      return null;
+    }
+  };
+
+  const fromEnv = (process.env.DISK_ROOT || '').trim();
+  if (fromEnv) {
+    const ok = tryDir(path.resolve(fromEnv));
+    if (ok) return ok;
+    console.warn(`[persist] DISK_ROOT set to "${fromEnv}" but not writable; falling back.`);
+  }
+
+  // local fallback inside repo (not persistent on ephemeral hosts)
+  const local = path.resolve(__dirname, '../var-data');
+  const ok = tryDir(local);
+  if (ok) return ok;
+
+  // ultimate fallback: process cwd
+  const cwd = tryDir(path.resolve(process.cwd(), 'var-data')) || process.cwd();
+  return cwd;
+}
+
+/** Resolve (and create) the data + uploads folders under the persist root */
+export function resolvePersistPaths() {
+  const PERSIST_ROOT = pickPersistRoot();
+  const DATA_DIR     = path.join(PERSIST_ROOT, 'data');
+  const UPLOADS_DIR  = path.join(PERSIST_ROOT, 'uploads');
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  return { PERSIST_ROOT, DATA_DIR, UPLOADS_DIR };
+}
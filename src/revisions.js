@@ -0,0 +1,82 @@
+// src/revisions.js
+import crypto from 'crypto';
+
+/** Fields whose history we keep, per record kind. */
+export const REVISION_FIELDS = {
+  marker: ['title', 'description', 'category', 'lat', 'lon'],
+  tip: ['text', 'photoUrl', 'status', 'expiresIn', 'expiresAt', 'observation']
+};
+
+// Tracked values are scalars or a flat object (a tip's observation), which
+// compares by its set fields: key order and null entries don't count
+const comparable = (v) => (v && typeof v === 'object'
+  ? JSON.stringify(Object.keys(v).filter(k => v[k] != null).sort().map(k => [k, v[k]]))
+  : v ?? null);
+
+const pick = (kind, record) =>
+  Object.fromEntries(REVISION_FIELDS[kind].map(f => [f, record?.[f] ?? null]));
+
+const changedFields = (kind, prev, next) =>
+  REVISION_FIELDS[kind].filter(f => comparable(prev?.[f]) !== comparable(next?.[f]));
+
+/**
+ * Append-only revision log on top of the store. Each revision is a snapshot
+ * of the tracked fields *after* a change, so restoring is "copy a snapshot
+ * back". Records that predate the log get a `baseline` revision holding their
+ * old state the first time they change.
+ */
+export function createRevisionLog(store) {
+  return {
+    /**
+     * @param {'marker'|'tip'} kind
+     * @param {object|null} before  record before the change (null on create)
+     * @param {object} after        record after the change
+     * @param {object} meta         { userId, action, restoredFrom? }
+     * @returns revision | null (nothing tracked changed)
+     */
+    async record(kind, before, after, { userId = null, action, restoredFrom } = {}) {
+      if (before && !changedFields(kind, before, after).length) return null;
+
+      if (before && !(await store.revisions.list(kind, after.id)).length) {
+        await store.revisions.append({
+          id: crypto.randomUUID(),
+          kind,
+          targetId: after.id,
+          action: 'baseline',
+          userId: before.userId ?? null,
+          timestamp: Number(before.timestamp) || null,
+          data: pick(kind, before)
+        });
+      }
+
+      return store.revisions.append({
+        id: crypto.randomUUID(),
+        kind,
+        targetId: after.id,
+        action,
+        userId,
+        timestamp: Date.now(),
+        data: pick(kind, after),
+        ...(restoredFrom ? { restoredFrom } : {})
+      });
+    },
+
+    /** Oldest first; each entry carries `rev` (1-based) and `changes` vs. the previous one. */
+    async history(kind, targetId) {
+      const revs = await store.revisions.list(kind, targetId);
+      return revs.map((r, i) => {
+        const prev = revs[i - 1]?.data || null;
+        const fields = prev ? changedFields(kind, prev, r.data) : REVISION_FIELDS[kind].filter(f => r.data[f] != null);
+        return {
+          ...r,
+          rev: i + 1,
+          changes: fields.map(field => ({ field, from: prev?.[field] ?? null, to: r.data[field] ?? null }))
+        };
+      });
+    },
+
+    async get(kind, targetId, revisionId) {
+      return (await store.revisions.list(kind, targetId)).find(r => r.id === revisionId) || null;
+    }
+  };
+}
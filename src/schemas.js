@@ -0,0 +1,139 @@
+// src/schemas.js
+// Request-body schemas for the marker, tip and report write routes. Unknown keys are
+// dropped, so owner/timestamp fields can't be smuggled in through a body.
+import { z } from 'zod';
+import { TIP_EXPIRY_PRESETS } from './tipExpiry.js';
+import { OBSERVATION_FIELDS } from './observations.js';
+
+export const LIMITS = { title: 120, description: 4000, tipText: 2000, reportNote: 500 };
+export const TIP_STATUSES = ['draft', 'published'];
+export const REPORT_REASONS = ['spam', 'unsafe', 'offensive', 'other'];
+
+// Only files we stored ourselves (POST /api/tip-photos, marker galleries)
+export const UPLOAD_URL_RE = /^\/uploads\/(tips|markers)\/[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const coordinate = (name, max) => z
+  .number({ error: `${name} must be a number` })
+  .min(-max, `${name} must be between -${max} and ${max}`)
+  .max(max, `${name} must be between -${max} and ${max}`);
+
+const text = (name, max) => z
+  .string({ error: `${name} is required` })
+  .trim()
+  .min(1, `${name} is required`)
+  .max(max, `${name} must be at most ${max} characters`);
+
+const photoUrl = z
+  .string({ error: 'photoUrl must be a string' })
+  .regex(UPLOAD_URL_RE, 'Photos must be uploaded here first (/uploads/…)')
+  .nullable();
+
+// A point in time as an ISO string or ms epoch → ms
+const dateValue = (name) => z
+  .union([z.number(), z.string()], { error: `${name} must be a date` })
+  .transform((v, ctx) => {
+    const ms = typeof v === 'number' ? v : Date.parse(v);
+    if (Number.isFinite(ms)) return ms;
+    ctx.addIssue({ code: 'custom', message: `${name} must be a date` });
+    return z.NEVER;
+  });
+
+// Tip expiry: a preset ("24h", "7d", …, "never") or a date (ISO string or ms).
+// Whether a date is still ahead is checked by the route, so stored tips that
+// have since expired still pass `egadmin verify`.
+const EXPIRY_PRESETS = [...Object.keys(TIP_EXPIRY_PRESETS), 'never'];
+const tipExpiry = {
+  expiresIn: z.enum(EXPIRY_PRESETS, { error: `expiresIn must be one of ${EXPIRY_PRESETS.join(', ')}` }).nullish(),
+  expiresAt: dateValue('expiresAt').nullable().optional()
+};
+
+// Structured gauge observation: any of the fields, at least one. Only tips on
+// usgs: keys may carry one (checked by the route, which knows the key).
+const observation = z
+  .object(Object.fromEntries(Object.entries(OBSERVATION_FIELDS).map(([field, values]) => [
+    field,
+    z.enum(values, { error: `${field} must be one of ${values.join(', ')}` }).nullish().transform(v => v ?? undefined)
+  ])), { error: 'observation must be an object' })
+  .refine(o => Object.values(o).some(Boolean), { error: 'Pick at least one observation field' })
+  .nullable();
+
+/**
+ * @param {{ isCategory: (key: string) => Promise<boolean> }} deps
+ *   category keys live in the store, so that check runs asynchronously
+ */
+export function createSchemas({ isCategory }) {
+  const category = z
+    .string({ error: 'Category must be a string' })
+    .trim()
+    .toLowerCase()
+    .refine(isCategory, 'Unknown category');
+
+  const description = z
+    .string({ error: 'Description must be a string' })
+    .trim()
+    .max(LIMITS.description, `Description must be at most ${LIMITS.description} characters`);
+  // When the place was seen (e.g. a photo's capture time); a day of slack for clocks and time zones
+  const observedAt = dateValue('observedAt')
+    .refine(ms => ms <= Date.now() + 24 * 60 * 60 * 1000, 'observedAt cannot be in the future')
+    .nullable();
+  const markerFields = {
+    lat: coordinate('Latitude', 90),
+    lon: coordinate('Longitude', 180),
+    title: text('Title', LIMITS.title)
+  };
+
+  return {
+    markerCreate: z.object({
+      ...markerFields,
+      description: description.nullish().transform(v => v ?? ''),
+      category: category.nullish().transform(v => v ?? 'misc'),
+      observedAt: observedAt.optional().transform(v => v ?? null)
+    }),
+    // Only the fields that were sent get patched
+    markerUpdate: z.object({ ...markerFields, description: description.nullable(), category, observedAt }).partial(),
+
+    // Text may be left out when the tip carries an observation
+    tipCreate: z.object({
+      text: text('Text', LIMITS.tipText).optional(),
+      observation: observation.optional().transform(v => v ?? null),
+      photoUrl: photoUrl.optional().transform(v => v ?? null),
+      status: z.enum(TIP_STATUSES, { error: 'Status must be draft or published' }).default('published'),
+      // Replies point at the tip they answer (same target); checked against the store by the route
+      parentId: z.string({ error: 'parentId must be a tip id' }).trim().min(1, 'parentId must be a tip id')
+        .nullish().transform(v => v ?? null),
+      ...tipExpiry
+    }).refine(v => v.text || v.observation, { error: 'Text is required', path: ['text'] }),
+    tipUpdate: z
+      .object({
+        text: text('Text', LIMITS.tipText).optional(),
+        photoUrl: photoUrl.optional(),
+        observation: observation.optional(),
+        ...tipExpiry
+      })
+      .refine(v => Object.values(v).some(f => f !== undefined), { error: 'Nothing to update', path: ['text'] }),
+
+    reportCreate: z
+      .object({
+        reason: z.enum(REPORT_REASONS, { error: `Reason must be one of ${REPORT_REASONS.join(', ')}` }),
+        note: z
+          .string({ error: 'Note must be a string' })
+          .trim()
+          .max(LIMITS.reportNote, `Note must be at most ${LIMITS.reportNote} characters`)
+          .optional()
+          .transform(v => v || null)
+      })
+      .refine(v => v.reason !== 'other' || v.note, { error: 'Say what is wrong with it', path: ['note'] })
+  };
+}
+
+/** → { value } (parsed, unknown keys dropped) | { error: { message, fields } } */
+export async function parseBody(schema, body) {
+  const result = await schema.safeParseAsync(body ?? {});
+  if (result.success) return { value: result.data };
+  const fields = {};
+  for (const issue of result.error.issues) {
+    const key = issue.path.join('.') || '_';
+    fields[key] ??= issue.message;
+  }
+  return { error: { message: Object.values(fields)[0] || 'Invalid request body', fields } };
+}
@@ -0,0 +1,66 @@
+// src/search.js
+// Small ranked full-text matcher over markers and published tips. The data
+// set is modest, so we score candidates on demand instead of keeping a
+// separate index in sync with every write.
+
+export const SEARCH_MIN_CHARS = 2;
+
+const fold = (s) => String(s ?? '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+
+/** "Blackberry thicket, late-June" → ['blackberry', 'thicket', 'late', 'june'] */
+export const tokenize = (s) => fold(s).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Title hits count most; a full-phrase hit earns a bonus on top of the terms.
+const FIELD_WEIGHTS = { title: 3, text: 1 };
+const PHRASE_BONUS = 2;
+
+// 1 for a whole-word hit, 0.6 for a word-prefix hit ("black" → "blackberry"), else 0
+function termStrength(tokens, term) {
+  let best = 0;
+  for (const t of tokens) {
+    if (t === term) return 1;
+    if (t.startsWith(term)) best = 0.6;
+  }
+  return best;
+}
+
+/**
+ * @param {Array<{ title?: string, text?: string, timestamp?: number }>} docs
+ * @param {string} q
+ * @returns ranked copies of the matching docs with `score` and `snippet`
+ *          (every query term must appear, as a word or word prefix, in some field)
+ */
+export function rankDocs(docs, q) {
+  const terms = [...new Set(tokenize(q))];
+  if (!terms.length) return [];
+  const phrase = fold(q).trim();
+
+  const hits = [];
+  for (const doc of docs) {
+    const fields = Object.keys(FIELD_WEIGHTS).filter(f => doc[f]);
+    const tokens = Object.fromEntries(fields.map(f => [f, tokenize(doc[f])]));
+
+    let score = 0;
+    let missed = false;
+    for (const term of terms) {
+      const best = Math.max(0, ...fields.map(f => termStrength(tokens[f], term) * FIELD_WEIGHTS[f]));
+      if (!best) { missed = true; break; }
+      score += best;
+    }
+    if (missed) continue;
+    if (terms.length > 1 && fields.some(f => fold(doc[f]).includes(phrase))) score += PHRASE_BONUS;
+
+    hits.push({ ...doc, score: Math.round(score * 100) / 100, snippet: snippetFor(doc.text || doc.title, terms) });
+  }
+  return hits.sort((a, b) => b.score - a.score || (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+/** ~140 characters around the first matching term */
+function snippetFor(text, terms, width = 140) {
+  const s = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (s.length <= width) return s;
+  const lower = fold(s);
+  const at = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0), s.length);
+  const start = Math.max(0, Math.min(at - 40, s.length - width));
+  return `${start > 0 ? '…' : ''}${s.slice(start, start + width).trim()}${start + width < s.length ? '…' : ''}`;
+}
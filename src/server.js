@@ -9,6 +9,29 @@ import crypto from 'crypto';
 import compression from 'compression';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
+import { resolvePersistPaths } from './persist.js';
+import { openStore } from './store/index.js';
+import { createWriteQueue } from './store/safeFile.js';
+import { createMarkerIndex, encodeCursor, decodeCursor } from './markerIndex.js';
+import { markersToFeatureCollection, featuresToMarkerInputs } from './interchange/geojson.js';
+import { toGpx, gpxToMarkerInputs } from './interchange/gpx.js';
+import { toKml, kmlToMarkerInputs } from './interchange/kml.js';
+import { fetchUsgsSitesInBbox, fetchUsgsSite, USGS_MAX_BBOX_SQ_DEG } from './usgs.js';
+import { hashPassword, verifyPassword, createSessions, createAuthorKeys } from './auth.js';
+import { createRevisionLog } from './revisions.js';
+import { createTrash } from './trash.js';
+import { createCategoryRegistry, validateCategory } from './categories.js';
+import { rankDocs, tokenize, SEARCH_MIN_CHARS } from './search.js';
+import { pageTipThreads, decodeTipCursor, TIP_SORTS, TIP_PAGE_MAX } from './tipThreads.js';
+import { summarizeObservations, OBSERVATION_WINDOW_HOURS, OBSERVATION_WINDOW_MAX_HOURS } from './observations.js';
+import { processImage, readImage, photoVariants, IMAGE_MAX_BYTES } from './images.js';
+import { readPhotoExif } from './exif.js';
+import { createUploadLedger } from './uploads.js';
+import { createEventHub } from './events.js';
+import { isExpired, parseExpiryDefault, expiryFromPreset, resolveTipExpiry, TIP_EXPIRY_PRESETS } from './tipExpiry.js';
+import { errorBody, sendError, sendInvalid } from './errors.js';
+import { createSchemas, parseBody } from './schemas.js';
+import { createModeration, parseAdminIds } from './moderation.js';
 
 // ──────────────────────────────────────────────────────────────────────────────
 // __dirname shim (ESM)
@@ -27,42 +50,9 @@ app.set('trust proxy', 1);
 app.disable('x-powered-by');
 
 // ──────────────────────────────────────────────────────────────────────────────
-// Persistence root (ENV: DISK_ROOT). Falls back to a local folder if unwritable.
-// On Render you’ll set DISK_ROOT=/var/egdata and mount a Disk there.
+// Persistence root (ENV: DISK_ROOT) — see src/persist.js
 // ──────────────────────────────────────────────────────────────────────────────
-function pickPersistRoot() {
-  const tryDir = (p) => {
-    try {
-      fs.mkdirSync(p, { recursive: true });
-      fs.accessSync(p, fs.constants.W_OK);
-      return p;
-    } catch {
-      return null;
-    }
-  };
-
-  const fromEnv = (process.env.DISK_ROOT || '').trim();
-  if (fromEnv) {
-    const ok = tryDir(path.resolve(fromEnv));
-    if (ok) return ok;
-    console.warn(`[persist] DISK_ROOT set to "${fromEnv}" but not writable; falling back.`);
-  }
-
-  // local fallback inside repo (not persistent on ephemeral hosts)
-  const local = path.resolve(__dirname, '../var-data');
-  const ok = tryDir(local);
-  if (ok) return ok;
-
-  // ultimate fallback: process cwd
-  const cwd = tryDir(path.resolve(process.cwd(), 'var-data')) || process.cwd();
-  return cwd;
-}
-
-const PERSIST_ROOT = pickPersistRoot();
-const DATA_DIR     = path.join(PERSIST_ROOT, 'data');
-const UPLOADS_DIR  = path.join(PERSIST_ROOT, 'uploads');
-fs.mkdirSync(DATA_DIR, { recursive: true });
-fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+const { PERSIST_ROOT, DATA_DIR, UPLOADS_DIR } = resolvePersistPaths();
 
 console.log('[persist] Using PERSIST_ROOT:', PERSIST_ROOT);
 console.log('[persist] DATA_DIR:', DATA_DIR);
@@ -101,7 +91,9 @@ app.use(
           "https://api.opencagedata.com",
           "https://photon.komoot.io",
           "https://geocoding.geo.census.gov",
-          "https://tile.openstreetmap.org"
+          "https://tile.openstreetmap.org",
+          // the service worker fetches map tiles itself (offline field mode)
+          "https://*.tile.openstreetmap.org"
         ],
         "font-src": ["'self'", "data:", "https://fonts.gstatic.com"],
         "object-src": ["'none'"],
@@ -114,7 +106,9 @@ app.use(
 
 // Compression + JSON body parsing
 app.use(compression());
-app.use(express.json({ limit: '200kb' }));
+// /api/import brings its own (larger) body parser
+const jsonBody = express.json({ limit: '200kb' });
+app.use((req, res, next) => (req.path === '/api/import' ? next() : jsonBody(req, res, next)));
 
 // ──────────────────────────────────────────────────────────────────────────────
 /** Rate limits */
@@ -122,21 +116,41 @@ app.use(express.json({ limit: '200kb' }));
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 120,
+  message: errorBody(429, 'Too many requests, please try again later.'),
   standardHeaders: true,
   legacyHeaders: false
 });
 const uploadLimiter = rateLimit({
   windowMs: 10 * 60 * 1000,
   max: 30,
-  message: { error: 'Too many uploads, please try again later.' },
+  message: errorBody(429, 'Too many uploads, please try again later.'),
+  standardHeaders: true,
+  legacyHeaders: false
+});
+const authLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 20,
+  message: errorBody(429, 'Too many sign-in attempts, please try again later.'),
   standardHeaders: true,
   legacyHeaders: false
 });
+app.use(['/api/auth/login', '/api/auth/register'], authLimiter);
 app.use(
   [
+    '/api/auth',
     '/api/tips',
     '/api/markers',
+    '/api/categories',
     '/api/tip-photos',
+    '/api/photo-location',
+    '/api/uploads',
+    '/api/import',
+    '/api/trash',
+    '/api/search',
+    '/api/moderation',
+    '/api/export.geojson',
+    '/api/export.gpx',
+    '/api/export.kml',
     '/api/wikipedia/nearby',
     '/api/wiki/nearby',
     '/api/wikidata/nearby',
@@ -161,7 +175,11 @@ app.use('/uploads', express.static(UPLOADS_DIR, {
 const distDir = path.join(__dirname, '../dist');
 if (fs.existsSync(distDir)) {
   app.use(express.static(distDir, {
-    etag: true, lastModified: true, immutable: true, maxAge: '1y', index: false
+    etag: true, lastModified: true, immutable: true, maxAge: '1y', index: false,
+    // The service worker keeps its URL across builds; browsers must revalidate it
+    setHeaders: (res, file) => {
+      if (path.basename(file) === 'sw.js') res.setHeader('Cache-Control', 'no-cache');
+    }
   }));
   app.get('/', (_req, res) => {
     res.set('Cache-Control', 'no-store');
@@ -173,58 +191,119 @@ if (fs.existsSync(distDir)) {
 app.get('/health', (_req, res) => res.json({ ok: true, persistRoot: PERSIST_ROOT }));
 
 // ──────────────────────────────────────────────────────────────────────────────
-/** Tiny file store helpers */
+/** Data store (ENV: STORE_DRIVER = json | sqlite) */
 // ──────────────────────────────────────────────────────────────────────────────
-function ensureFile(filePath, initialContent) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, initialContent, 'utf8');
-}
-function readJSONSafe(file, fallback) {
-  try {
-    const txt = fs.readFileSync(file, 'utf8');
-    return JSON.parse(txt);
-  } catch (e) {
-    console.warn('[data] recovering from bad JSON in', path.basename(file), e.message);
-    try { fs.writeFileSync(file, JSON.stringify(fallback, null, 2), 'utf8'); } catch {}
-    return fallback;
+const store = await openStore({
+  driver: process.env.STORE_DRIVER,
+  dataDir: DATA_DIR,
+  backup: {
+    keep: Math.max(1, parseInt(process.env.JSON_BACKUP_KEEP) || 20),
+    minIntervalMs: Math.max(0, Number(process.env.JSON_BACKUP_INTERVAL_MIN ?? 10) || 0) * 60 * 1000
   }
+});
+console.log('[persist] store driver:', store.driver);
+const revisions = createRevisionLog(store);
+
+// Deleted records sit in the trash (deletedAt set) until purged; every route
+// other than /api/trash treats them as gone.
+const isLive = (record) => Boolean(record) && !record.deletedAt;
+async function getLiveMarker(id) {
+  const m = await store.markers.get(id);
+  return isLive(m) ? m : null;
+}
+async function getLiveTip(id) {
+  const t = await store.tips.get(id);
+  return isLive(t) ? t : null;
 }
+const liveTips = async (key) => (await store.tips.list(key)).filter(isLive);
+// Tips on a custom marker go with it: while it is in the trash (or gone) they are neither shown nor added
+const tipTargetGone = async (key) => key.startsWith('custom:') && !(await getLiveMarker(key.slice(7)));
 
-const MARKERS_FILE = path.join(DATA_DIR, 'markers.json');
-const TIPS_FILE    = path.join(DATA_DIR, 'tips.json');
-ensureFile(MARKERS_FILE, JSON.stringify([]));
-ensureFile(TIPS_FILE,    JSON.stringify({}));
+// ──────────────────────────────────────────────────────────────────────────────
+/** Live updates (Server-Sent Events) — see src/events.js */
+// ──────────────────────────────────────────────────────────────────────────────
+// GET /api/events streams marker.created / marker.updated / marker.deleted and
+// tip.published / tip.updated / tip.deleted. Tips only count while public:
+// hiding one announces tip.deleted, approving it again tip.published.
+const events = createEventHub();
 
-const readMarkers = () => readJSONSafe(MARKERS_FILE, []);
-const writeMarkers = (arr) => fs.writeFileSync(MARKERS_FILE, JSON.stringify(arr, null, 2), 'utf8');
-const readTips = () => readJSONSafe(TIPS_FILE, {});
-const writeTips = (obj) => fs.writeFileSync(TIPS_FILE, JSON.stringify(obj, null, 2), 'utf8');
+app.get('/api/events', (req, res) => {
+  if (!events.subscribe(req, res)) sendError(res, 503, 'Too many live connections, please try again later.');
+});
+
+/** A marker changed (`before`/`after` null when it didn't / doesn't exist; trashed counts as gone) */
+function announceMarker(before, after) {
+  if (isLive(after)) events.publish(isLive(before) ? 'marker.updated' : 'marker.created', { marker: publicMarker(after) });
+  else if (isLive(before)) events.publish('marker.deleted', { id: before.id });
+}
+
+/** A tip changed; drafts, hidden and trashed tips are nobody else's business */
+function announceTip(key, before, after) {
+  if (isPublicTip(after)) {
+    // Only what every viewer shares: each client keeps its own votedHelpful
+    const { votedHelpful, ...tip } = tipForViewer({ ...after, key }, null);
+    events.publish(isPublicTip(before) ? 'tip.updated' : 'tip.published', { key, tip });
+  } else if (isPublicTip(before)) {
+    events.publish('tip.deleted', { key, id: before.id });
+  }
+}
 
 // ──────────────────────────────────────────────────────────────────────────────
-/** Multer uploads (tip photos) */
+/** Photo uploads (tip photos, marker galleries) — see src/images.js (ENV: UPLOAD_QUOTA_MB, UPLOAD_GC_GRACE_HOURS) */
 // ──────────────────────────────────────────────────────────────────────────────
 const TIP_UPLOAD_DIR = path.join(UPLOADS_DIR, 'tips');
+const MARKER_UPLOAD_DIR = path.join(UPLOADS_DIR, 'markers');
 fs.mkdirSync(TIP_UPLOAD_DIR, { recursive: true });
+fs.mkdirSync(MARKER_UPLOAD_DIR, { recursive: true });
+
+// Uploads stay in memory until processImage() has checked and re-encoded them,
+// so the original (EXIF, GPS and all) is never written out. The file name and
+// declared type are ignored; the magic bytes decide.
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_MAX_BYTES, files: 1 }
+});
 
-const storage = multer.diskStorage({
-  destination: (_req, _file, cb) => cb(null, TIP_UPLOAD_DIR),
-  filename: (_req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    const safeExts = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.heic', '.heif'];
-    if (!safeExts.includes(ext)) return cb(new Error('Unsupported file extension'));
-    cb(null, `${Date.now()}-${crypto.randomUUID()}${ext}`);
-  }
+// Per-account photo storage (every size counts) and the sweep that deletes
+// files no tip or marker uses any more — see src/uploads.js
+const UPLOAD_QUOTA_MB = Math.max(0, Number(process.env.UPLOAD_QUOTA_MB ?? 100) || 0);
+const UPLOAD_GC_GRACE_HOURS = Math.max(1, Number(process.env.UPLOAD_GC_GRACE_HOURS ?? 24) || 24);
+const uploads = createUploadLedger({
+  store,
+  uploadsDir: UPLOADS_DIR,
+  graceMs: UPLOAD_GC_GRACE_HOURS * 60 * 60 * 1000,
+  quotaBytes: Math.round(UPLOAD_QUOTA_MB * 1024 * 1024)
 });
-const upload = multer({
-  storage,
-  limits: { fileSize: 6 * 1024 * 1024 },
-  fileFilter: (_req, file, cb) => {
-    const ok = /^image\/(jpeg|png|webp|gif|heic|heif)$/.test(file.mimetype);
-    if (!ok) return cb(new Error('Only image files are allowed'));
-    cb(null, true);
+
+/** Runs before multer: an account that is already full gets 413 without an upload. */
+async function withinQuota(req, res, next) {
+  const { remainingBytes } = await uploads.usage(requestUserId(req));
+  if (remainingBytes === 0) {
+    return sendError(res, 413, `Photo storage full (${UPLOAD_QUOTA_MB} MB); delete some photos first`, { code: 'quota_exceeded' });
   }
-});
+  next();
+}
+
+/** processImage() + charge the result to the uploader → { url, variants, quota } or a 413 */
+async function storePhoto(req, res, { dir, urlPrefix }) {
+  const photo = await processImage(req.file.buffer, { dir, urlPrefix });
+  const { quota, error } = await uploads.add(requestUserId(req), photo.url);
+  if (error) {
+    sendError(res, 413, error, { code: 'quota_exceeded' });
+    return null;
+  }
+  return { ...photo, quota };
+}
+
+async function sweepUploads() {
+  try {
+    const removed = await uploads.sweep();
+    if (removed.files) console.log('[uploads] swept unreferenced files', removed);
+  } catch (e) {
+    console.warn('[uploads] sweep failed:', e.message);
+  }
+}
+setInterval(sweepUploads, 60 * 60 * 1000).unref();
 
 // ──────────────────────────────────────────────────────────────────────────────
 /** Config to client */
@@ -232,172 +311,1066 @@ const upload = multer({
 app.get('/api/config', (_req, res) => {
   res.json({
     opencageEnabled: Boolean(process.env.OPENCAGE_KEY),
-    hasNasa: Boolean(process.env.NASA_API_KEY)
+    hasNasa: Boolean(process.env.NASA_API_KEY),
+    tipExpiry: { presets: Object.keys(TIP_EXPIRY_PRESETS), defaults: TIP_EXPIRY_DEFAULTS }
+  });
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Accounts & sessions (ENV: SESSION_SECRET, SESSION_DAYS, ADMIN_IDS) */
+// ──────────────────────────────────────────────────────────────────────────────
+// Anyone who knows the secret can sign a session for any user id (admins
+// included), so the .env.example placeholder or a short one won't do in production.
+const SESSION_SECRET_MIN = 32;
+const SESSION_SECRET_PLACEHOLDER = 'change-me-to-a-long-random-string';
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('[auth] SESSION_SECRET not set; using a random one (everyone is signed out on restart)');
+} else if (sessionSecret === SESSION_SECRET_PLACEHOLDER || sessionSecret.length < SESSION_SECRET_MIN) {
+  const problem = `SESSION_SECRET is ${sessionSecret === SESSION_SECRET_PLACEHOLDER ? 'the .env.example placeholder' : `shorter than ${SESSION_SECRET_MIN} characters`}`;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${problem}; set a long random string (e.g. openssl rand -hex 32)`);
+  }
+  console.warn(`[auth] ${problem}; fine for development, never in production`);
+}
+const sessions = createSessions({
+  secret: sessionSecret,
+  maxAgeMs: Math.max(1, Number(process.env.SESSION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  secure: process.env.NODE_ENV === 'production'
+});
+// What public records carry instead of a user id (see createAuthorKeys)
+const authorKey = createAuthorKeys(sessionSecret);
+
+// Identity comes from the signed session cookie only — never from bodies or queries.
+app.use((req, _res, next) => {
+  req.userId = sessions.read(req);
+  next();
+});
+
+const requestUserId = (req) => req.userId || null;
+
+// Blocked accounts can still sign in and read, but every write is refused.
+async function requireUser(req, res, next) {
+  if (!req.userId) return sendError(res, 401, 'Sign in required');
+  if ((await store.users.get(req.userId))?.blockedAt) {
+    return sendError(res, 403, 'This account has been blocked', { code: 'account_blocked' });
+  }
+  next();
+}
+
+/** Owners may change their own records; records saved without an owner stay open to all. */
+const canModify = (record, userId) => !record?.userId || record.userId === userId;
+
+// Admins are the user ids listed in ADMIN_IDS; they work the moderation queue.
+const moderation = createModeration({
+  store,
+  adminIds: parseAdminIds(process.env.ADMIN_IDS),
+  hideThreshold: Math.max(0, parseInt(process.env.REPORT_HIDE_THRESHOLD ?? 3) || 0)
+});
+
+function requireAdmin(req, res, next) {
+  if (!req.userId) return sendError(res, 401, 'Sign in required');
+  if (!moderation.isAdmin(req.userId)) return sendError(res, 403, 'Admins only');
+  next();
+}
+
+/** Published and not hidden by moderation: what anyone may see. */
+const isPublicTip = (t) => isLive(t) && t.status === 'published' && !t.hiddenAt;
+/** …plus the viewer's own drafts and hidden tips; admins also see hidden ones. */
+const canSeeTip = (t, viewer) => isPublicTip(t) || (isLive(t) && Boolean(viewer) &&
+  (t.userId === viewer || (t.status === 'published' && moderation.isAdmin(viewer))));
+
+const USERNAME_RE = /^[a-z0-9_.-]{3,32}$/i;
+const PASSWORD_MIN = 8;
+const publicUser = (u) => ({ id: u.id, username: u.username });
+/** The signed-in user's view of their own account */
+const selfUser = (u) => ({
+  ...publicUser(u), authorId: authorKey(u.id), isAdmin: moderation.isAdmin(u.id), blocked: Boolean(u.blockedAt)
+});
+
+function readCredentials(body) {
+  const username = String(body?.username || '').trim();
+  const password = String(body?.password || '');
+  const invalid = (field, message) => ({ error: { message, fields: { [field]: message } } });
+  if (!USERNAME_RE.test(username)) return invalid('username', 'Username must be 3–32 letters, digits, or . _ -');
+  if (password.length < PASSWORD_MIN) return invalid('password', `Password must be at least ${PASSWORD_MIN} characters`);
+  return { username, password };
+}
+
+app.post('/api/auth/register', async (req, res) => {
+  const creds = readCredentials(req.body);
+  if (creds.error) return sendInvalid(res, creds.error);
+  if (await store.users.findByName(creds.username)) return sendError(res, 409, 'Username taken');
+
+  const user = await store.users.create({
+    id: crypto.randomUUID(),
+    username: creds.username,
+    passwordHash: await hashPassword(creds.password),
+    createdAt: Date.now()
+  });
+  sessions.issue(res, user.id);
+  res.status(201).json(selfUser(user));
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const user = await store.users.findByName(String(req.body?.username || '').trim());
+  if (!user || !(await verifyPassword(String(req.body?.password || ''), user.passwordHash))) {
+    return sendError(res, 401, 'Invalid username or password');
+  }
+  sessions.issue(res, user.id);
+  res.json(selfUser(user));
+});
+
+app.post('/api/auth/logout', (_req, res) => {
+  sessions.clear(res);
+  res.status(204).end();
+});
+
+app.get('/api/auth/me', async (req, res) => {
+  const user = req.userId ? await store.users.get(req.userId) : null;
+  res.json({ user: user ? selfUser(user) : null });
+});
+
+// Body: { anonId } — the random id this browser used before accounts existed.
+// Markers and tips recorded under it move to the signed-in account. Knowing
+// the id is the proof of possession: it only lives in that browser's storage,
+// and responses name authors by authorId, never by user id.
+app.post('/api/auth/claim', requireUser, async (req, res) => {
+  const anonId = String(req.body?.anonId || '').trim();
+  if (!anonId) return sendError(res, 400, 'Missing anonId');
+  if (anonId === req.userId) return res.json({ markers: 0, tips: 0 });
+  if (await store.users.get(anonId)) return sendError(res, 409, 'That id belongs to an account');
+
+  let markers = 0, tips = 0;
+  for (const m of await store.markers.list()) {
+    if (m.userId !== anonId) continue;
+    markerIndex.upsert(await store.markers.update(m.id, { userId: req.userId }));
+    markers++;
+  }
+  for (const arr of Object.values(await store.tips.all())) {
+    for (const t of arr) {
+      if (t.userId !== anonId) continue;
+      await store.tips.update(t.id, { userId: req.userId });
+      tips++;
+    }
+  }
+
+  const user = await store.users.get(req.userId);
+  await store.users.update(req.userId, { claimedIds: [...new Set([...(user?.claimedIds || []), anonId])] });
+  res.json({ markers, tips });
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Categories (built-ins + user-defined, optional sanitized SVG icon) */
+// ──────────────────────────────────────────────────────────────────────────────
+const categories = createCategoryRegistry(store);
+await categories.ensureBuiltins();
+
+/** A category as responses show it: the creator as authorId (null for built-ins) */
+function publicCategory(c) {
+  const { userId, ...rest } = c;
+  return { ...rest, authorId: authorKey(userId) };
+}
+
+app.get('/api/categories', async (_req, res) => {
+  res.json((await categories.list()).map(publicCategory));
+});
+
+// Body: { key?, label, glyph, color, svg? } — key defaults to a slug of the label.
+app.post('/api/categories', requireUser, async (req, res) => {
+  const { value, error } = validateCategory(req.body);
+  if (error) return sendInvalid(res, error);
+  if (await categories.get(value.key)) return sendError(res, 409, 'Category key already exists');
+
+  const created = await store.categories.create({
+    svg: null, ...value, builtin: false, userId: requestUserId(req), createdAt: Date.now()
   });
+  res.status(201).json(publicCategory(created));
 });
 
+app.put('/api/categories/:key', requireUser, async (req, res) => {
+  const existing = await categories.get(req.params.key);
+  if (!existing) return sendError(res, 404, 'Not found');
+  if (existing.builtin || existing.userId !== requestUserId(req)) {
+    return sendError(res, 403, 'Only the creator can change this category');
+  }
+  const { value, error } = validateCategory(req.body, { partial: true });
+  if (error) return sendInvalid(res, error);
+  res.json(publicCategory(await store.categories.update(existing.key, value)));
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Idempotent creates (offline outbox) */
+// ──────────────────────────────────────────────────────────────────────────────
+// The outbox sends `Idempotency-Key: <uuid>`, made when the write was queued,
+// with POST /api/markers, /api/markers/:id/photos and /api/tips. The key stays
+// on what was created (never in responses), so a retry whose first attempt was
+// saved but never answered gets that record back instead of a second one.
+const IDEMPOTENCY_KEY_RE = /^[A-Za-z0-9_-]{8,100}$/;
+
+/** Sets req.idempotencyKey (or null when the header is absent); 400 when it is malformed */
+function readIdempotencyKey(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key != null && !IDEMPOTENCY_KEY_RE.test(key)) return sendError(res, 400, 'Invalid Idempotency-Key');
+  req.idempotencyKey = key ?? null;
+  next();
+}
+const createdWith = (req) => (r) => r?.idempotencyKey === req.idempotencyKey && r.userId === requestUserId(req);
+
 // ──────────────────────────────────────────────────────────────────────────────
 /** Markers API */
 // ──────────────────────────────────────────────────────────────────────────────
-app.get('/api/markers', (_req, res) => res.json(readMarkers()));
-
-app.post('/api/markers', (req, res) => {
-  const { lat, lon, title, description, category, userId } = req.body || {};
-  if (lat == null || lon == null || !title) return res.status(400).json({ error: 'Missing fields' });
-  const list = readMarkers();
-  const marker = { lat, lon, title, description, category, userId: userId || null, timestamp: Date.now() };
-  list.push(marker);
-  writeMarkers(list);
-  res.status(201).json(marker);
-});
-
-app.put('/api/markers', (req, res) => {
-  const { index, lat, lon, title, description, category } = req.body || {};
-  if (index == null || !title) return res.status(400).json({ error: 'Missing index/title' });
-  const list = readMarkers();
-  if (!list[index]) return res.status(404).json({ error: 'Not found' });
-  list[index] = { lat, lon, title, description, category, timestamp: Date.now() };
-  writeMarkers(list);
-  res.json(list[index]);
-});
-
-app.delete('/api/markers', (req, res) => {
-  const { index } = req.body || {};
-  if (index == null) return res.status(400).json({ error: 'Missing index' });
-  const list = readMarkers();
-  if (!list[index]) return res.status(404).json({ error: 'Not found' });
-  list.splice(index, 1);
-  writeMarkers(list);
+// Viewport/filter queries are answered from memory; the index is loaded once
+// here and updated by the write routes below.
+const markerIndex = createMarkerIndex({ authorOf: (m) => authorKey(m.userId) });
+markerIndex.load((await store.markers.list()).filter(isLive));
+
+const MARKER_PAGE_MAX = 1000;
+
+/** Parse ?bbox=&category=&userId=&since=&limit=&cursor= → index query, or { error } */
+function parseMarkerQuery(q) {
+  const out = {};
+  if (q.bbox != null && q.bbox !== '') {
+    const parts = String(q.bbox).split(',').map(Number);
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) return { error: 'Invalid bbox (expected west,south,east,north)' };
+    let [west, south, east, north] = parts;
+    if (south > north) return { error: 'Invalid bbox (south > north)' };
+    // Leaflet bounds can run past ±180 when the map wraps; fold them back.
+    if (east - west >= 360) { west = -180; east = 180; }
+    const wrap = (x) => ((((x + 180) % 360) + 360) % 360) - 180;
+    if (west < -180 || west > 180) west = wrap(west);
+    if (east < -180 || east > 180) east = wrap(east);
+    out.bbox = [west, Math.max(south, -90), east, Math.min(north, 90)];
+  }
+  if (q.category) {
+    out.categories = String(q.category).split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+  }
+  if (q.authorId) out.authorId = String(q.authorId);
+  if (q.since != null && q.since !== '') {
+    const since = /^\d+$/.test(String(q.since)) ? Number(q.since) : Date.parse(String(q.since));
+    if (!Number.isFinite(since)) return { error: 'Invalid since (ms epoch or ISO date)' };
+    out.since = since;
+  }
+  if (q.limit != null && q.limit !== '') {
+    const limit = parseInt(q.limit);
+    if (!(limit > 0)) return { error: 'Invalid limit' };
+    out.limit = Math.min(limit, MARKER_PAGE_MAX);
+  }
+  if (q.cursor) {
+    out.after = decodeCursor(q.cursor);
+    if (!out.after) return { error: 'Invalid cursor' };
+  }
+  return out;
+}
+
+/** A marker as responses and events show it: the owner (and photo uploaders) as authorId */
+function publicMarker(m) {
+  const { userId, deletedBy, idempotencyKey, ...rest } = m;
+  return {
+    ...rest,
+    authorId: authorKey(userId),
+    ...(m.photos ? { photos: m.photos.map(({ userId: by, idempotencyKey: _, ...p }) => ({ ...p, authorId: authorKey(by) })) } : {})
+  };
+}
+
+app.get('/api/markers', (req, res) => {
+  const query = parseMarkerQuery(req.query);
+  if (query.error) return sendError(res, 400, query.error);
+  const { items, next } = markerIndex.query(query);
+  if (next) res.set('X-Next-Cursor', encodeCursor(next));
+  res.json(items.map(publicMarker));
+});
+
+app.get('/api/markers/:id', async (req, res) => {
+  const m = await getLiveMarker(req.params.id);
+  if (!m) return sendError(res, 404, 'Not found');
+  res.json(publicMarker(m));
+});
+
+// Body schemas for markers and tips; category must name a stored category.
+const schemas = createSchemas({ isCategory: async (key) => Boolean(await categories.get(key)) });
+
+/** Shared create path for POST /api/markers and imports → { marker } | { error: { message, fields } } */
+async function createMarker(input, userId, { idempotencyKey = null } = {}) {
+  const { value, error } = await parseBody(schemas.markerCreate, input);
+  if (error) return { error };
+  const marker = await store.markers.create({
+    id: crypto.randomUUID(),
+    ...value,
+    userId: userId || null,
+    timestamp: Date.now(),
+    ...(idempotencyKey ? { idempotencyKey } : {})
+  });
+  markerIndex.upsert(marker);
+  await revisions.record('marker', null, marker, { userId, action: 'create' });
+  announceMarker(null, marker);
+  return { marker };
+}
+
+app.post('/api/markers', requireUser, readIdempotencyKey, async (req, res) => {
+  if (req.idempotencyKey) {
+    const earlier = (await store.markers.list()).find(createdWith(req));
+    if (earlier) return res.json(publicMarker(earlier));
+  }
+  const { marker, error } = await createMarker(req.body, requestUserId(req), { idempotencyKey: req.idempotencyKey });
+  if (error) return sendInvalid(res, error);
+  res.status(201).json(publicMarker(marker));
+});
+
+// Only the owner may edit or delete; the owner itself never changes. Fields
+// left out of the body keep their current value.
+app.put('/api/markers/:id', requireUser, async (req, res) => {
+  const existing = await getLiveMarker(req.params.id);
+  if (!existing) return sendError(res, 404, 'Not found');
+  if (!canModify(existing, requestUserId(req))) return sendError(res, 403, 'Not your marker');
+  // Sending the stored category back is no change, even when it is no longer
+  // registered (such markers keep theirs until the owner picks another)
+  const body = { ...req.body };
+  const sameCategory = (c) => typeof c === 'string' && c.trim().toLowerCase() === String(existing.category ?? '').toLowerCase();
+  if (sameCategory(body.category)) delete body.category;
+  const { value, error } = await parseBody(schemas.markerUpdate, body);
+  if (error) return sendInvalid(res, error);
+
+  const updated = await store.markers.update(req.params.id, {
+    ...value, userId: existing.userId ?? null, timestamp: Date.now()
+  });
+  markerIndex.upsert(updated);
+  await revisions.record('marker', existing, updated, { userId: requestUserId(req), action: 'update' });
+  announceMarker(existing, updated);
+  res.json(publicMarker(updated));
+});
+
+// Soft delete: the marker (and, implicitly, its tips) moves to the trash.
+app.delete('/api/markers/:id', requireUser, async (req, res) => {
+  const existing = await getLiveMarker(req.params.id);
+  if (!existing) return sendError(res, 404, 'Not found');
+  if (!canModify(existing, requestUserId(req))) return sendError(res, 403, 'Not your marker');
+
+  await store.markers.update(req.params.id, { deletedAt: Date.now(), deletedBy: requestUserId(req) });
+  markerIndex.remove(req.params.id);
+  announceMarker(existing, null);
   res.status(204).end();
 });
 
 // ──────────────────────────────────────────────────────────────────────────────
-/** Tips API (Perceptacle) */
+/** Marker photo galleries (owner only; same limits as tip photos) */
 // ──────────────────────────────────────────────────────────────────────────────
-(function migrateTipKeysOnce() {
-  try {
-    const all = readTips();
-    let changed = false;
-    const next = {};
-    for (const [k, arr] of Object.entries(all)) {
-      let nk = k;
-      if (typeof k === 'string' && !k.includes(':')) {
-        nk = /^\d{7,15}$/.test(k) ? `usgs:${k}` : `custom:${k}`;
-      }
-      if (nk !== k) changed = true;
-      next[nk] = Array.isArray(arr) ? arr : [];
+// A marker carries `photos: [{ id, url, variants, userId, uploadedAt }]` in display order
+// and an optional `coverPhotoId`, which the map shows in the marker's tooltip.
+const MARKER_PHOTOS_MAX = 24;
+const MARKER_PHOTO_PREFIX = '/uploads/markers/';
+
+/** Runs before multer so refused uploads never touch the disk. */
+async function ownMarker(req, res, next) {
+  const m = await getLiveMarker(req.params.id);
+  if (!m) return sendError(res, 404, 'Not found');
+  if (!canModify(m, requestUserId(req))) return sendError(res, 403, 'Not your marker');
+  req.marker = m;
+  next();
+}
+
+// Multipart, field `photo` → 201 updated marker
+app.post('/api/markers/:id/photos', requireUser, uploadLimiter, readIdempotencyKey, ownMarker, (req, res, next) => {
+  // A retried outbox upload that already landed: answer with the marker as it is
+  if (req.idempotencyKey && (req.marker.photos || []).some(createdWith(req))) return res.json(publicMarker(req.marker));
+  next();
+}, withinQuota, async (req, res, next) => {
+  if ((req.marker.photos || []).length >= MARKER_PHOTOS_MAX) {
+    return sendError(res, 409, `A marker holds at most ${MARKER_PHOTOS_MAX} photos`);
+  }
+  next();
+}, photoUpload.single('photo'), async (req, res) => {
+  if (!req.file) return sendError(res, 400, 'No file uploaded');
+  const stored = await storePhoto(req, res, { dir: MARKER_UPLOAD_DIR, urlPrefix: MARKER_PHOTO_PREFIX });
+  if (!stored) return;
+  const { url, variants } = stored;
+  const photo = {
+    id: crypto.randomUUID(),
+    url,
+    variants,
+    userId: requestUserId(req),
+    uploadedAt: Date.now(),
+    ...(req.idempotencyKey ? { idempotencyKey: req.idempotencyKey } : {})
+  };
+  const photos = [...(req.marker.photos || []), photo];
+  const updated = await store.markers.update(req.marker.id, {
+    photos,
+    coverPhotoId: req.marker.coverPhotoId || photo.id   // first photo becomes the cover
+  });
+  markerIndex.upsert(updated);
+  announceMarker(req.marker, updated);
+  res.status(201).json(publicMarker(updated));
+});
+
+// Body: { order?: [photoId, …] (every photo, new order), coverPhotoId?: photoId | null }
+app.put('/api/markers/:id/photos', requireUser, ownMarker, async (req, res) => {
+  const { order, coverPhotoId } = req.body || {};
+  const photos = req.marker.photos || [];
+  const patch = {};
+
+  if (order !== undefined) {
+    const byId = new Map(photos.map(p => [p.id, p]));
+    const ids = Array.isArray(order) ? order.map(String) : [];
+    if (ids.length !== photos.length || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      const message = 'order must list every photo id exactly once';
+      return sendInvalid(res, { message, fields: { order: message } });
     }
-    if (changed) writeTips(next);
-  } catch (e) {
-    console.warn('Tip key migration skipped:', e.message);
+    patch.photos = ids.map(id => byId.get(id));
+  }
+  if (coverPhotoId !== undefined) {
+    if (coverPhotoId !== null && !photos.some(p => p.id === coverPhotoId)) {
+      return sendInvalid(res, { message: 'Unknown coverPhotoId', fields: { coverPhotoId: 'Unknown coverPhotoId' } });
+    }
+    patch.coverPhotoId = coverPhotoId;
+  }
+  if (!Object.keys(patch).length) return sendError(res, 400, 'Nothing to change');
+
+  const updated = await store.markers.update(req.marker.id, patch);
+  markerIndex.upsert(updated);
+  announceMarker(req.marker, updated);
+  res.json(publicMarker(updated));
+});
+
+app.delete('/api/markers/:id/photos/:photoId', requireUser, ownMarker, async (req, res) => {
+  const photos = req.marker.photos || [];
+  const photo = photos.find(p => p.id === req.params.photoId);
+  if (!photo) return sendError(res, 404, 'Photo not found');
+
+  const updated = await store.markers.update(req.marker.id, {
+    photos: photos.filter(p => p.id !== photo.id),
+    coverPhotoId: req.marker.coverPhotoId === photo.id ? null : req.marker.coverPhotoId ?? null
+  });
+  markerIndex.upsert(updated);
+  announceMarker(req.marker, updated);
+  await uploads.discard(photo.url);
+  res.json(publicMarker(updated));
+});
+
+// Multipart, field `photo` → { location: { lat, lon } | null, takenAt: ISO string | null }
+// Reads the upload's GPS position and capture time, then forgets it: nothing is
+// stored. "Create marker from photo" attaches it afterwards through the gallery
+// route above, which is where the metadata gets stripped.
+app.post('/api/photo-location', requireUser, uploadLimiter, photoUpload.single('photo'), async (req, res) => {
+  if (!req.file) return sendError(res, 400, 'No file uploaded');
+  const { metadata } = await readImage(req.file.buffer);
+  res.json(readPhotoExif(metadata.exif));
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Edit history (markers + tips) */
+// ──────────────────────────────────────────────────────────────────────────────
+/** Attach `username` (from userId) to each revision or report for display. */
+async function withUsernames(revs) {
+  const names = new Map();
+  for (const id of new Set(revs.map(r => r.userId).filter(Boolean))) {
+    names.set(id, (await store.users.get(id))?.username || null);
   }
-})();
+  return revs.map(r => ({ ...r, username: names.get(r.userId) ?? null }));
+}
+
+/** Edit history as anyone may read it: who acted by username + authorId, never the user id */
+const publicHistory = async (revs) =>
+  (await withUsernames(revs)).map(({ userId, ...r }) => ({ ...r, authorId: authorKey(userId) }));
+
+app.get('/api/markers/:id/history', async (req, res) => {
+  const marker = await getLiveMarker(req.params.id);
+  const revs = await revisions.history('marker', req.params.id);
+  if (!marker && !revs.length) return sendError(res, 404, 'Not found');
+  res.json(await publicHistory(revs));
+});
+
+/**
+ * A revision snapshot about to be copied back, minus photos replaced or removed
+ * since then that the sweep may already have deleted from disk.
+ */
+async function restorableSnapshot(data) {
+  const out = { ...data };
+  if (out.photoUrl && !(await uploads.onDisk(out.photoUrl))) out.photoUrl = null;
+  if (Array.isArray(out.photos)) {
+    const kept = [];
+    for (const p of out.photos) if (typeof p?.url === 'string' && await uploads.onDisk(p.url)) kept.push(p);
+    out.photos = kept;
+    if (out.coverPhotoId && !kept.some(p => p.id === out.coverPhotoId)) out.coverPhotoId = kept[0]?.id ?? null;
+  }
+  return out;
+}
+
+// Body: { revisionId } — copies that snapshot back and logs it as a new revision.
+app.post('/api/markers/:id/restore', requireUser, async (req, res) => {
+  const existing = await getLiveMarker(req.params.id);
+  if (!existing) return sendError(res, 404, 'Not found');
+  if (!canModify(existing, requestUserId(req))) return sendError(res, 403, 'Not your marker');
+  const rev = await revisions.get('marker', req.params.id, String(req.body?.revisionId || ''));
+  if (!rev) return sendError(res, 404, 'Revision not found');
+
+  const data = await restorableSnapshot(rev.data);
+  const updated = await store.markers.update(req.params.id, { ...data, timestamp: Date.now() });
+  markerIndex.upsert(updated);
+  await revisions.record('marker', existing, updated, {
+    userId: requestUserId(req), action: 'restore', restoredFrom: rev.id
+  });
+  announceMarker(existing, updated);
+  res.json(publicMarker(updated));
+});
+
+app.get('/api/tips/:id/history', async (req, res) => {
+  const tip = await getLiveTip(req.params.id);
+  // Drafts and hidden tips (and their past) stay out of public view
+  if (!tip || !canSeeTip(tip, requestUserId(req))) return sendError(res, 404, 'Tip not found');
+  res.json(await publicHistory(await revisions.history('tip', req.params.id)));
+});
+
+app.post('/api/tips/:id/restore', requireUser, async (req, res) => {
+  const existing = await getLiveTip(req.params.id);
+  if (!existing) return sendError(res, 404, 'Tip not found');
+  if (!canModify(existing, requestUserId(req))) return sendError(res, 403, 'Not your tip');
+  const rev = await revisions.get('tip', req.params.id, String(req.body?.revisionId || ''));
+  if (!rev) return sendError(res, 404, 'Revision not found');
+
+  // Status stays as it is: publishing has its own route (expiry start, events)
+  // and a rollback must not quietly turn a published tip back into a draft
+  const { status, ...data } = await restorableSnapshot(rev.data);
+  const updated = await store.tips.update(req.params.id, { ...data, timestamp: Date.now() });
+  await revisions.record('tip', existing, updated, {
+    userId: requestUserId(req), action: 'restore', restoredFrom: rev.id
+  });
+  announceTip(existing.key, existing, updated);
+  res.json(tipForViewer({ ...updated, key: existing.key }, requestUserId(req)));
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Export / import: GeoJSON, GPX, KML */
+// ──────────────────────────────────────────────────────────────────────────────
+const IMPORT_MAX_FEATURES = 5000;
+
+const exportFilename = (ext) =>
+  `electric-gavinoe-markers-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+/**
+ * Markers for an export: same filters as GET /api/markers (bbox, category, …)
+ * minus paging. With gauges=1 (and a bbox) the active USGS gauges in the box
+ * come along too — GPX/KML only.
+ */
+async function exportSelection(req, { withGauges = false } = {}) {
+  const { limit, after, error, ...query } = parseMarkerQuery(req.query);
+  if (error) return { error };
+  const { items } = markerIndex.query(query);
+
+  let gauges = [];
+  if (withGauges && (req.query.gauges === '1' || req.query.gauges === 'true')) {
+    if (!query.bbox) return { error: 'gauges=1 needs a bbox' };
+    const [west, south, east, north] = query.bbox;
+    if (west > east || (east - west) * (north - south) > USGS_MAX_BBOX_SQ_DEG) {
+      return { error: 'Area too large for USGS gauges — zoom in and try again' };
+    }
+    try {
+      gauges = await fetchUsgsSitesInBbox(query.bbox);
+    } catch (e) {
+      return { error: `USGS lookup failed: ${e.message}`, status: 502 };
+    }
+  }
+  return { items, gauges };
+}
+
+// tips=1 embeds each marker's published tips (minus any hidden by moderation or expired).
+app.get('/api/export.geojson', async (req, res) => {
+  const { items, error } = await exportSelection(req);
+  if (error) return sendError(res, 400, error);
+
+  let tipsByKey;
+  if (req.query.tips === '1' || req.query.tips === 'true') {
+    tipsByKey = {};
+    for (const m of items) {
+      const key = `custom:${m.id}`;
+      tipsByKey[key] = (await liveTips(key)).filter(t => isPublicTip(t) && !isExpired(t));
+    }
+  }
+
+  res.set('Content-Type', 'application/geo+json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${exportFilename('geojson')}"`);
+  res.send(JSON.stringify(markersToFeatureCollection(items, { tipsByKey }), null, 2));
+});
+
+app.get('/api/export.gpx', async (req, res) => {
+  const { items, gauges, error, status } = await exportSelection(req, { withGauges: true });
+  if (error) return sendError(res, status || 400, error);
+  res.set('Content-Type', 'application/gpx+xml; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${exportFilename('gpx')}"`);
+  res.send(toGpx({ markers: items, gauges, categories: await categories.map() }));
+});
+
+app.get('/api/export.kml', async (req, res) => {
+  const { items, gauges, error, status } = await exportSelection(req, { withGauges: true });
+  if (error) return sendError(res, status || 400, error);
+  res.set('Content-Type', 'application/vnd.google-earth.kml+xml; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${exportFilename('kml')}"`);
+  res.send(toKml({ markers: items, gauges, categories: await categories.map() }));
+});
+
+/** Pick the parser from the body: JSON → GeoJSON, XML → by root element */
+function parseImportBody(body, opts) {
+  if (typeof body !== 'string') return featuresToMarkerInputs(body);
+  if (/<gpx[\s>]/.test(body)) return gpxToMarkerInputs(body, opts);
+  if (/<kml[\s>]/.test(body)) return kmlToMarkerInputs(body, opts);
+  return { error: 'Unrecognised file (expected GeoJSON, GPX or KML)' };
+}
+
+// Body: a GeoJSON FeatureCollection of Points, GPX waypoints or KML
+// Placemarks. Each one goes through createMarker; bad ones are skipped and
+// reported by index.
+app.post(
+  '/api/import',
+  requireUser,
+  express.json({ limit: '5mb', type: ['application/json', 'application/geo+json'] }),
+  express.text({
+    limit: '5mb',
+    type: ['application/gpx+xml', 'application/vnd.google-earth.kml+xml', 'application/xml', 'text/xml']
+  }),
+  async (req, res) => {
+    const known = await categories.map();
+    const parsed = parseImportBody(req.body, { categories: known });
+    if (parsed.error) return sendError(res, 400, parsed.error);
+    if (parsed.inputs.length + parsed.errors.length > IMPORT_MAX_FEATURES) {
+      return sendError(res, 413, `Too many features (max ${IMPORT_MAX_FEATURES})`);
+    }
+
+    const userId = requestUserId(req);
+    const created = [];
+    const errors = [...parsed.errors];
+    for (const { index, ...input } of parsed.inputs) {
+      // A category we don't have (GeoJSON from elsewhere) lands in misc rather than failing the feature
+      const category = known[String(input.category ?? '').trim().toLowerCase()] ? input.category : 'misc';
+      const { marker, error } = await createMarker({ ...input, category }, userId);
+      if (error) errors.push({ index, error: error.message, fields: error.fields });
+      else created.push(publicMarker(marker));
+    }
+    errors.sort((a, b) => a.index - b.index);
+
+    res.status(created.length ? 201 : errors.length ? 400 : 200).json({ created: created.length, markers: created, errors });
+  }
+);
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Tips API (Perceptacle) (ENV: TIP_EXPIRY_USGS, TIP_EXPIRY_CUSTOM) */
+// ──────────────────────────────────────────────────────────────────────────────
+// Expiry a new tip gets when the body names none, per target kind (a preset or "never").
+// Gauge tips are mostly passing conditions, so they lapse after a week by default.
+const TIP_EXPIRY_DEFAULTS = {
+  usgs: parseExpiryDefault(process.env.TIP_EXPIRY_USGS, '7d', 'TIP_EXPIRY_USGS'),
+  custom: parseExpiryDefault(process.env.TIP_EXPIRY_CUSTOM, null, 'TIP_EXPIRY_CUSTOM')
+};
 
 function tipKeyFrom(obj) {
   if (typeof obj?.key === 'string' && obj.key.includes(':')) return obj.key;
   if (obj?.siteId) return `usgs:${obj.siteId}`;
-  if (obj?.markerIndex != null) return `custom:${obj.markerIndex}`;
+  if (obj?.markerId) return `custom:${obj.markerId}`;
   return null;
 }
-function findTipIndex(arr, { id, index }) {
-  if (id) {
-    const i = arr.findIndex(t => t.id === id);
-    if (i !== -1) return i;
+/** What the tip routes send: a helpful-vote count instead of who voted, the author as authorId */
+function tipForViewer(t, viewer) {
+  const { helpfulBy = [], userId, deletedBy, hiddenBy, approvedBy, idempotencyKey, ...rest } = t;
+  return {
+    ...rest,
+    authorId: authorKey(userId),
+    text: t.text ?? '',
+    photoVariants: photoVariants(t.photoUrl),
+    parentId: t.parentId ?? null,
+    observation: t.observation ?? null,
+    expiresIn: t.expiresIn ?? null,
+    expiresAt: t.expiresAt ?? null,
+    expired: isExpired(t),
+    helpful: helpfulBy.length,
+    votedHelpful: Boolean(viewer) && helpfulBy.includes(viewer)
+  };
+}
+
+/** Parse ?sort=&limit=&cursor= → { sort, limit, after }, or { error } */
+function parseTipQuery(q) {
+  const sort = String(q.sort || 'oldest');
+  if (!TIP_SORTS.includes(sort)) return { error: `Invalid sort (expected ${TIP_SORTS.join(', ')})` };
+  const out = { sort };
+  if (q.limit != null && q.limit !== '') {
+    const limit = parseInt(q.limit);
+    if (!(limit > 0)) return { error: 'Invalid limit' };
+    out.limit = Math.min(limit, TIP_PAGE_MAX);
   }
-  if (index != null) return Number(index);
-  return -1;
+  if (q.cursor) {
+    out.after = decodeTipCursor(q.cursor, sort);
+    if (!out.after) return { error: 'Invalid cursor' };
+  }
+  return out;
 }
 
-app.get('/api/tips', (req, res) => {
+// Threads in `sort` order; with a limit, X-Next-Cursor points at the next page.
+// Expired tips are left out unless ?expired=1 (the archive view).
+app.get('/api/tips', async (req, res) => {
   const key = tipKeyFrom(req.query);
   if (!key) return res.json([]);
-  const viewer = req.query.viewer || null;
-  const all = readTips();
-  const raw = all[key] || [];
-  const out = raw.filter(
-    t => t.status === 'published' || (viewer && t.userId && t.userId === viewer && t.status === 'draft')
-  );
-  res.json(out);
+  const query = parseTipQuery(req.query);
+  if (query.error) return sendError(res, 400, query.error);
+  if (await tipTargetGone(key)) return sendError(res, 404, 'Marker not found');
+  const withExpired = req.query.expired === '1' || req.query.expired === 'true';
+
+  const viewer = requestUserId(req);
+  const now = Date.now();
+  const visible = (await liveTips(key))
+    .filter(t => canSeeTip(t, viewer) && (withExpired || !isExpired(t, now)))
+    .map(t => tipForViewer(t, viewer));
+  const { items, next } = pageTipThreads(visible, query);
+  if (next) res.set('X-Next-Cursor', next);
+  res.json(items);
+});
+
+// Observation tally for a gauge: published, unexpired tips from the last `hours`
+app.get('/api/tips/summary', async (req, res) => {
+  const key = tipKeyFrom(req.query);
+  if (!key?.startsWith('usgs:')) return sendError(res, 400, 'Give a siteId (observations are only kept for USGS gauges)');
+  const hours = req.query.hours == null || req.query.hours === '' ? OBSERVATION_WINDOW_HOURS : Number(req.query.hours);
+  if (!(hours > 0 && hours <= OBSERVATION_WINDOW_MAX_HOURS)) {
+    return sendError(res, 400, `hours must be more than 0 and at most ${OBSERVATION_WINDOW_MAX_HOURS}`);
+  }
+
+  const now = Date.now();
+  const since = now - hours * 60 * 60 * 1000;
+  const recent = (await liveTips(key))
+    .filter(t => isPublicTip(t) && !isExpired(t, now) && Number(t.timestamp) >= since);
+  res.json({ key, hours, since, ...summarizeObservations(recent) });
+});
+
+const observationOffGauge = () => {
+  const message = 'Observations can only be added to tips on USGS gauges';
+  return { message, fields: { observation: message } };
+};
+
+app.get('/api/tips/:id', async (req, res) => {
+  const viewer = requestUserId(req);
+  const tip = await getLiveTip(req.params.id);
+  if (!tip || !canSeeTip(tip, viewer) || await tipTargetGone(tip.key)) return sendError(res, 404, 'Tip not found');
+  res.json(tipForViewer(tip, viewer));
 });
 
-app.post('/api/tips', (req, res) => {
+app.post('/api/tips', requireUser, readIdempotencyKey, async (req, res) => {
+  if (req.idempotencyKey) {
+    for (const [key, arr] of Object.entries(await store.tips.all())) {
+      const earlier = arr.find(createdWith(req));
+      if (earlier) return res.json(tipForViewer({ ...earlier, key }, earlier.userId));
+    }
+  }
   const key = tipKeyFrom(req.body);
-  const { text } = req.body || {};
-  if (!key || !text) return res.status(400).json({ error: 'Missing target or text' });
+  if (!key) return sendInvalid(res, { message: 'Missing target', fields: { key: 'Give siteId, markerId or key' } });
+  const { value, error } = await parseBody(schemas.tipCreate, req.body);
+  if (error) return sendInvalid(res, error);
+  if (await tipTargetGone(key)) return sendError(res, 404, 'Marker not found');
+  const { expiresIn, expiresAt, ...fields } = value;
+  if (fields.observation && !key.startsWith('usgs:')) return sendInvalid(res, observationOffGauge());
+  let parent = null;
+  if (fields.parentId) {
+    parent = await getLiveTip(fields.parentId);
+    if (!parent || parent.key !== key || !isPublicTip(parent) || isExpired(parent)) {
+      const message = 'Replies must answer a current published tip on the same place';
+      return sendInvalid(res, { message, fields: { parentId: message } });
+    }
+  }
+
+  // Unless told otherwise a reply lapses with the tip it answers; anything else
+  // gets its target kind's default
+  const now = Date.now();
+  const expiry = resolveTipExpiry({ expiresIn, expiresAt }, {
+    now,
+    fallback: parent
+      ? { expiresIn: null, expiresAt: parent.expiresAt ?? null }
+      : expiryFromPreset(TIP_EXPIRY_DEFAULTS[key.startsWith('usgs:') ? 'usgs' : 'custom'], now)
+  });
+  if (expiry.error) return sendInvalid(res, expiry.error);
 
-  const all = readTips();
-  const tip = {
+  const tip = await store.tips.create(key, {
     id: crypto.randomUUID(),
-    text: String(text),
-    timestamp: Date.now(),
-    userId: req.body?.userId || null,
-    photoUrl: req.body?.photoUrl || null,
-    status: req.body?.status === 'draft' ? 'draft' : 'published'
-  };
+    ...fields,
+    ...expiry.value,
+    timestamp: now,
+    userId: requestUserId(req),
+    ...(req.idempotencyKey ? { idempotencyKey: req.idempotencyKey } : {})
+  });
+  await revisions.record('tip', null, tip, { userId: tip.userId, action: 'create' });
+  announceTip(key, null, tip);
+  res.status(201).json(tipForViewer({ ...tip, key }, tip.userId));
+});
+
+/** Loads the live tip behind :id into req.tip when the signed-in user may change it. */
+async function ownTip(req, res, next) {
+  const tip = await getLiveTip(req.params.id);
+  if (!tip) return sendError(res, 404, 'Tip not found');
+  if (!canModify(tip, requestUserId(req))) return sendError(res, 403, 'Not your tip');
+  req.tip = tip;
+  next();
+}
 
-  all[key] = all[key] || [];
-  all[key].push(tip);
-  writeTips(all);
-  res.status(201).json(tip);
+app.put('/api/tips/:id', requireUser, ownTip, async (req, res) => {
+  const { value, error } = await parseBody(schemas.tipUpdate, req.body);
+  if (error) return sendInvalid(res, error);
+  const { tip } = req;
+  const { expiresIn, expiresAt, ...fields } = value;
+  if (fields.observation && !tip.key.startsWith('usgs:')) return sendInvalid(res, observationOffGauge());
+  if (fields.observation === null && !(fields.text ?? tip.text)) {
+    const message = 'A tip needs text or an observation';
+    return sendInvalid(res, { message, fields: { text: message } });
+  }
+  const now = Date.now();
+  const expiry = resolveTipExpiry({ expiresIn, expiresAt }, { now });
+  if (expiry.error) return sendInvalid(res, expiry.error);
+
+  const updated = await store.tips.update(tip.id, { ...fields, ...expiry.value, timestamp: now });
+  await revisions.record('tip', tip, updated, { userId: requestUserId(req), action: 'update' });
+  announceTip(tip.key, tip, updated);
+  res.json(tipForViewer({ ...updated, key: tip.key }, requestUserId(req)));
 });
 
-app.put('/api/tips', (req, res) => {
-  const key = tipKeyFrom(req.body);
-  const { id, index, text } = req.body || {};
-  if (!key || (!text && !Object.prototype.hasOwnProperty.call(req.body, 'photoUrl')))
-    return res.status(400).json({ error: 'Missing key/updates' });
+// A preset expiry ("7d") counts from publication, not from when the draft was written
+app.put('/api/tips/:id/publish', requireUser, ownTip, async (req, res) => {
+  const { tip } = req;
+  const now = Date.now();
+  const expiry = tip.expiresIn ? expiryFromPreset(tip.expiresIn, now) : {};
+  if (isExpired({ ...tip, ...expiry }, now)) {
+    const message = 'This draft has already expired; pick a new expiry first';
+    return sendInvalid(res, { message, fields: { expiresAt: message } });
+  }
 
-  const all = readTips();
-  const arr = all[key] || [];
-  const i = findTipIndex(arr, { id, index });
-  if (i < 0 || !arr[i]) return res.status(404).json({ error: 'Tip not found' });
+  const updated = await store.tips.update(tip.id, { status: 'published', ...expiry, timestamp: now });
+  await revisions.record('tip', tip, updated, { userId: requestUserId(req), action: 'publish' });
+  announceTip(tip.key, tip, updated);
+  res.json(tipForViewer({ ...updated, key: tip.key }, requestUserId(req)));
+});
 
-  if (text) arr[i].text = String(text);
-  if (Object.prototype.hasOwnProperty.call(req.body, 'photoUrl')) {
-    arr[i].photoUrl = req.body.photoUrl;
+// Soft delete (see Trash)
+app.delete('/api/tips/:id', requireUser, ownTip, async (req, res) => {
+  const { tip } = req;
+  await store.tips.update(tip.id, { deletedAt: Date.now(), deletedBy: requestUserId(req) });
+  announceTip(tip.key, tip, null);
+  res.status(204).end();
+});
+
+// One helpful-vote per account per tip (not your own). Votes are read-modify-write
+// on the tip, so they go through a queue to keep concurrent votes from clobbering each other.
+const voteQueue = createWriteQueue();
+async function setHelpful(req, res, on) {
+  const viewer = requestUserId(req);
+  const tip = await getLiveTip(req.params.id);
+  if (!tip || !isPublicTip(tip)) return sendError(res, 404, 'Tip not found');
+  if (tip.userId === viewer) return sendError(res, 400, 'You cannot vote for your own tip');
+
+  const updated = await voteQueue(async () => {
+    const voters = new Set((await store.tips.get(tip.id))?.helpfulBy || []);
+    if (on) voters.add(viewer);
+    else voters.delete(viewer);
+    return store.tips.update(tip.id, { helpfulBy: [...voters] });
+  });
+  if (!updated) return sendError(res, 404, 'Tip not found');
+  res.json({ id: tip.id, helpful: updated.helpfulBy.length, votedHelpful: on });
+}
+app.post('/api/tips/:id/helpful', requireUser, (req, res) => setHelpful(req, res, true));
+app.delete('/api/tips/:id/helpful', requireUser, (req, res) => setHelpful(req, res, false));
+
+// Photo upload → { url, variants, quota }; the tip then stores just `url` (photoUrl).
+// Left unused (never posted, or replaced later) it is swept after the grace period.
+app.post('/api/tip-photos', requireUser, uploadLimiter, withinQuota, photoUpload.single('photo'), async (req, res) => {
+  if (!req.file) return sendError(res, 400, 'No file uploaded');
+  const stored = await storePhoto(req, res, { dir: TIP_UPLOAD_DIR, urlPrefix: '/uploads/tips/' });
+  if (stored) res.json(stored);
+});
+
+// The signed-in account's photo storage: { usedBytes, quotaBytes, remainingBytes }
+app.get('/api/uploads/quota', requireUser, async (req, res) => {
+  res.json(await uploads.usage(requestUserId(req)));
+});
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Search (markers + Perceptacle tips) */
+// ──────────────────────────────────────────────────────────────────────────────
+/** Live markers plus the tips the viewer could see in the tips list → search docs */
+async function searchDocs(viewer) {
+  const markers = new Map();
+  const docs = [];
+  for (const m of await store.markers.list()) {
+    if (!isLive(m)) continue;
+    markers.set(`custom:${m.id}`, m);
+    docs.push({
+      type: 'marker', key: `custom:${m.id}`, id: m.id, title: m.title, text: m.description || '',
+      category: m.category ?? null, lat: m.lat, lon: m.lon, timestamp: m.timestamp ?? null
+    });
+  }
+  for (const [key, arr] of Object.entries(await store.tips.all())) {
+    const parent = markers.get(key);
+    if (key.startsWith('custom:') && !parent) continue; // tip on a deleted marker
+    for (const t of arr) {
+      if (!canSeeTip(t, viewer) || isExpired(t)) continue;
+      docs.push({
+        // `place` names what the tip is on; it isn't scored, so a marker's
+        // title doesn't drag every one of its tips into the results
+        type: 'tip', key, id: t.id, place: parent?.title || null, text: t.text || '',
+        status: t.status, photoUrl: t.photoUrl ?? null,
+        lat: parent?.lat ?? null, lon: parent?.lon ?? null, timestamp: t.timestamp ?? null
+      });
+    }
   }
-  arr[i].timestamp = Date.now();
-  writeTips(all);
-  res.json(arr[i]);
+  return docs;
+}
+
+// GET /api/search?q=&limit= → { q, terms, results: [{ type, key, id, title|place, snippet, lat, lon, score, … }] }
+app.get('/api/search', async (req, res) => {
+  const q = String(req.query.q ?? '').trim();
+  if (q.length < SEARCH_MIN_CHARS) {
+    return sendError(res, 400, `Search needs at least ${SEARCH_MIN_CHARS} characters`);
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+  const results = rankDocs(await searchDocs(requestUserId(req)), q).slice(0, limit);
+
+  // Tips on USGS gauges: look each gauge up once so the client can fly to it.
+  // Lookups time out (src/usgs.js); a failed one leaves its results without
+  // coordinates rather than failing the search.
+  const gaugeIds = [...new Set(results.filter(r => r.key.startsWith('usgs:')).map(r => r.key.slice(5)))];
+  const sites = new Map(await Promise.all(gaugeIds.map(async (id) => {
+    try {
+      return [id, await fetchUsgsSite(id)];
+    } catch (e) {
+      console.warn('[search] USGS site lookup failed:', e.message);
+      return [id, null];
+    }
+  })));
+  for (const r of results) {
+    const site = r.key.startsWith('usgs:') ? sites.get(r.key.slice(5)) : null;
+    if (site) Object.assign(r, { place: site.name, lat: site.lat, lon: site.lon });
+  }
+
+  res.json({ q, terms: [...new Set(tokenize(q))], results });
 });
 
-app.put('/api/tips/publish', (req, res) => {
-  const key = tipKeyFrom(req.body);
-  const { id, index, userId } = req.body || {};
-  if (!key) return res.status(400).json({ error: 'Missing key' });
+// ──────────────────────────────────────────────────────────────────────────────
+/** Moderation (ENV: ADMIN_IDS, REPORT_HIDE_THRESHOLD) */
+// ──────────────────────────────────────────────────────────────────────────────
+const MODERATION_ACTIONS = ['approve', 'hide', 'delete'];
+
+// Body: { reason: spam | unsafe | offensive | other, note? } — one open report per person per tip
+app.post('/api/tips/:id/report', requireUser, async (req, res) => {
+  const viewer = requestUserId(req);
+  const tip = await getLiveTip(req.params.id);
+  if (!tip || !canSeeTip(tip, viewer)) return sendError(res, 404, 'Tip not found');
+  if (tip.userId === viewer) return sendError(res, 400, 'You cannot report your own tip');
+  const { value, error } = await parseBody(schemas.reportCreate, req.body);
+  if (error) return sendInvalid(res, error);
+  if (await moderation.hasOpenReport(tip.id, viewer)) return sendError(res, 409, 'You already reported this tip');
+
+  const { report, tip: after } = await moderation.report(tip, viewer, value);
+  if (after.hiddenAt && !tip.hiddenAt) announceTip(tip.key, tip, after);
+  res.status(201).json({ report, hidden: Boolean(after.hiddenAt) });
+});
 
-  const all = readTips();
-  const arr = all[key] || [];
-  const i = findTipIndex(arr, { id, index });
-  if (i < 0) return res.status(404).json({ error: 'Tip not found' });
+// Reported or hidden tips, most open reports first, with who wrote and who reported them
+app.get('/api/moderation', requireAdmin, async (_req, res) => {
+  const items = [];
+  for (const it of await moderation.queue()) {
+    const author = it.tip.userId ? await store.users.get(it.tip.userId) : null;
+    const marker = it.tip.key.startsWith('custom:') ? await store.markers.get(it.tip.key.slice(7)) : null;
+    items.push({
+      ...it,
+      place: marker?.title || null,
+      author: author
+        ? { ...publicUser(author), blocked: Boolean(author.blockedAt), isAdmin: moderation.isAdmin(author.id) }
+        : null,
+      reports: await withUsernames(it.reports)
+    });
+  }
+  res.json({ hideThreshold: moderation.hideThreshold, items });
+});
 
-  const t = arr[i];
-  if (t.userId && userId && t.userId !== userId) {
-    return res.status(403).json({ error: 'Not your draft' });
+// Body: { action: approve | hide | delete } — resolves the tip's open reports
+app.post('/api/moderation/tips/:id', requireAdmin, async (req, res) => {
+  const action = String(req.body?.action || '');
+  if (!MODERATION_ACTIONS.includes(action)) {
+    const message = `Action must be one of ${MODERATION_ACTIONS.join(', ')}`;
+    return sendInvalid(res, { message, fields: { action: message } });
   }
-  t.status = 'published';
-  t.timestamp = Date.now();
-  writeTips(all);
-  res.json(t);
+  const tip = await getLiveTip(req.params.id);
+  if (!tip) return sendError(res, 404, 'Tip not found');
+  const updated = await moderation.act(tip, action, requestUserId(req));
+  announceTip(tip.key, tip, updated);
+  res.json(updated);
 });
 
-app.delete('/api/tips', (req, res) => {
-  const key = tipKeyFrom(req.body);
-  const { index } = req.body || {};
-  if (!key || index == null) return res.status(400).json({ error: 'Missing key/index' });
-  const all = readTips();
-  if (!all[key] || !all[key][index]) return res.status(404).json({ error: 'Tip not found' });
-  all[key].splice(index, 1);
-  writeTips(all);
-  res.status(204).end();
+// Body: { blocked: true | false, hideTips? } — hideTips also hides everything the user has published
+app.post('/api/moderation/users/:id', requireAdmin, async (req, res) => {
+  const { blocked, hideTips } = req.body || {};
+  if (typeof blocked !== 'boolean') {
+    const message = 'blocked must be true or false';
+    return sendInvalid(res, { message, fields: { blocked: message } });
+  }
+  const user = await store.users.get(req.params.id);
+  if (!user) return sendError(res, 404, 'User not found');
+  if (moderation.isAdmin(user.id)) return sendError(res, 400, 'Admins cannot be blocked');
+
+  const result = await moderation.setBlocked(user, blocked, requestUserId(req), { hideTips: hideTips === true });
+  for (const { key, before, after } of result.hidden) announceTip(key, before, after);
+  res.json({
+    user: { ...publicUser(result.user), blocked: Boolean(result.user.blockedAt) },
+    hiddenTips: result.hidden.length
+  });
 });
 
-// Photo upload
-app.post('/api/tip-photos', uploadLimiter, upload.single('photo'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-  res.json({ url: `/uploads/tips/${req.file.filename}` });
+// ──────────────────────────────────────────────────────────────────────────────
+/** Trash (ENV: TRASH_RETENTION_DAYS) */
+// ──────────────────────────────────────────────────────────────────────────────
+const TRASH_RETENTION_DAYS = Math.max(0, Number(process.env.TRASH_RETENTION_DAYS ?? 30) || 0);
+const trash = createTrash({
+  store,
+  uploadsDir: UPLOADS_DIR,
+  retentionMs: TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
 });
 
+app.get('/api/trash', requireUser, async (req, res) => {
+  res.json({ retentionDays: TRASH_RETENTION_DAYS, items: await trash.list(requestUserId(req)) });
+});
+
+// Body: { kind: 'marker' | 'tip', id }
+app.post('/api/trash/restore', requireUser, async (req, res) => {
+  const { kind, id } = req.body || {};
+  const userId = requestUserId(req);
+  const records = kind === 'marker' ? store.markers : kind === 'tip' ? store.tips : null;
+  if (!records || !id) return sendError(res, 400, 'Missing kind/id');
+
+  const existing = await records.get(String(id));
+  if (!existing?.deletedAt) return sendError(res, 404, 'Not in trash');
+  if (!canModify(existing, userId) && existing.deletedBy !== userId) {
+    return sendError(res, 403, 'Not your item');
+  }
+  if (existing.deletedReason === 'moderation' && !moderation.isAdmin(userId)) {
+    return sendError(res, 403, 'Removed by a moderator');
+  }
+
+  const restored = await records.update(existing.id, {
+    deletedAt: null, deletedBy: null, ...(existing.deletedReason ? { deletedReason: null } : {})
+  });
+  if (kind === 'marker') {
+    markerIndex.upsert(restored);
+    announceMarker(null, restored);
+    return res.json(publicMarker(restored));
+  }
+  announceTip(existing.key, null, restored);
+  res.json(tipForViewer({ ...restored, key: existing.key }, userId));
+});
+
+async function purgeTrash() {
+  try {
+    const counts = await trash.purgeExpired();
+    if (counts.markers || counts.tips) console.log('[trash] purged', counts);
+  } catch (e) {
+    console.warn('[trash] purge failed:', e.message);
+  }
+}
+setInterval(purgeTrash, 60 * 60 * 1000).unref();
+// Purge first, so photos of purged records are already gone when the sweep settles the ledger
+purgeTrash().then(sweepUploads);
+
 // ──────────────────────────────────────────────────────────────────────────────
 /** Proxies used by the client */
 // ──────────────────────────────────────────────────────────────────────────────
@@ -412,7 +1385,7 @@ async function wikipediaNearbyHandler(req, res) {
     let km = Math.min(Math.max(Number(req.query.km) || 8, 1), 100);
     let limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
     if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-      return res.status(400).json({ error: 'Invalid coordinates' });
+      return sendError(res, 400, 'Invalid coordinates');
     }
 
     const key = `${lat.toFixed(3)}:${lon.toFixed(3)}:${km}:${limit}`;
@@ -441,7 +1414,7 @@ async function wikipediaNearbyHandler(req, res) {
     const r = await fetch(u, { headers: { 'User-Agent': 'ElectricGavinoe/1.0 (+server)' } });
     const j = await r.json();
 
-    if (j?.error) return res.status(502).json({ error: 'Wikipedia error', detail: j.error.info || j.error.code });
+    if (j?.error) return sendError(res, 502, 'Wikipedia error', { detail: j.error.info || j.error.code });
 
     const haversineKm = (aLat, aLon, bLat, bLon) => {
       const toRad = d => (d * Math.PI) / 180;
@@ -479,7 +1452,7 @@ async function wikipediaNearbyHandler(req, res) {
     wikiCache.set(key, { t: Date.now(), data: rows });
     res.json(rows);
   } catch (e) {
-    res.status(500).json({ error: 'server error', detail: String(e?.message || e) });
+    sendError(res, 500, 'server error', { detail: String(e?.message || e) });
   }
 }
 app.get('/api/wikipedia/nearby', wikipediaNearbyHandler);
@@ -496,7 +1469,7 @@ app.get('/api/photon', async (req, res) => {
     res.set('Cache-Control', 'public, max-age=300');
     res.status(r.status).send(body);
   } catch (e) {
-    res.status(502).json({ error: 'Photon proxy failed', detail: String(e?.message || e) });
+    sendError(res, 502, 'Photon proxy failed', { detail: String(e?.message || e) });
   }
 });
 
@@ -513,7 +1486,7 @@ app.get('/api/census/oneline', async (req, res) => {
     res.set('Cache-Control', 'public, max-age=300');
     res.status(r.status).send(body);
   } catch (e) {
-    res.status(502).json({ error: 'Census oneline proxy failed', detail: String(e?.message || e) });
+    sendError(res, 502, 'Census oneline proxy failed', { detail: String(e?.message || e) });
   }
 });
 
@@ -531,7 +1504,7 @@ app.get('/api/census/address', async (req, res) => {
     res.set('Cache-Control', 'public, max-age=300');
     res.status(r.status).send(body);
   } catch (e) {
-    res.status(502).json({ error: 'Census address proxy failed', detail: String(e?.message || e) });
+    sendError(res, 502, 'Census address proxy failed', { detail: String(e?.message || e) });
   }
 });
 
@@ -557,7 +1530,7 @@ const ocSet = (key, val) => {
 app.get('/api/opencage', async (req, res) => {
   try {
     const key = process.env.OPENCAGE_KEY?.trim();
-    if (!key) return res.status(500).json({ error: 'Missing OPENCAGE_KEY' });
+    if (!key) return sendError(res, 500, 'Missing OPENCAGE_KEY');
 
     const q = String(req.query.q || '').slice(0, 200);
     const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
@@ -590,7 +1563,7 @@ app.get('/api/opencage', async (req, res) => {
     res.set('Content-Type', contentType);
     res.status(r.status).send(body);
   } catch (e) {
-    res.status(502).json({ error: 'OpenCage proxy failed', detail: String(e?.message || e) });
+    sendError(res, 502, 'OpenCage proxy failed', { detail: String(e?.message || e) });
   }
 });
 
@@ -599,8 +1572,8 @@ app.get('/api/3wa', async (req, res) => {
   try {
     const { lat, lon } = req.query;
     const key = process.env.W3W_API_KEY?.trim();
-    if (!lat || !lon) return res.status(400).json({ error: 'Missing lat/lon' });
-    if (!key) return res.status(500).json({ error: 'Missing W3W_API_KEY' });
+    if (!lat || !lon) return sendError(res, 400, 'Missing lat/lon');
+    if (!key) return sendError(res, 500, 'Missing W3W_API_KEY');
 
     const url = new URL('https://api.what3words.com/v3/convert-to-3wa');
     url.searchParams.set('coordinates', `${lat},${lon}`);
@@ -612,7 +1585,7 @@ app.get('/api/3wa', async (req, res) => {
     if (r.ok && body?.words) return res.status(200).json({ words: body.words });
     res.status(r.status).json(body);
   } catch {
-    res.status(500).json({ error: 'server error' });
+    sendError(res, 500, 'server error');
   }
 });
 
@@ -620,24 +1593,24 @@ app.get('/api/3wa', async (req, res) => {
 app.get('/api/nasa/apod', async (_req, res) => {
   try {
     const key = process.env.NASA_API_KEY?.trim();
-    if (!key) return res.status(500).json({ error: 'Missing NASA_API_KEY' });
+    if (!key) return sendError(res, 500, 'Missing NASA_API_KEY');
     const r = await fetch(`https://api.nasa.gov/planetary/apod?api_key=${key}&thumbs=true`);
     const j = await r.json().catch(() => ({}));
     return res.status(r.status).json(j);
   } catch (e) {
-    return res.status(502).json({ error: 'NASA APOD proxy failed', detail: String(e?.message || e) });
+    return sendError(res, 502, 'NASA APOD proxy failed', { detail: String(e?.message || e) });
   }
 });
 
 app.get('/api/nasa/epic', async (_req, res) => {
   try {
     const key = process.env.NASA_API_KEY?.trim();
-    if (!key) return res.status(500).json({ error: 'Missing NASA_API_KEY' });
+    if (!key) return sendError(res, 500, 'Missing NASA_API_KEY');
     const r = await fetch(`https://api.nasa.gov/EPIC/api/natural/images?api_key=${key}`);
     const j = await r.json().catch(() => ([]));
     return res.status(r.status).json(j);
   } catch (e) {
-    return res.status(502).json({ error: 'NASA EPIC proxy failed', detail: String(e?.message || e) });
+    return sendError(res, 502, 'NASA EPIC proxy failed', { detail: String(e?.message || e) });
   }
 });
 
@@ -656,19 +1629,21 @@ if (fs.existsSync(distDir)) {
 // ──────────────────────────────────────────────────────────────────────────────
 app.use((req, res) => {
   console.warn('404:', req.method, req.originalUrl);
+  if (req.path.startsWith('/api/')) return sendError(res, 404, 'Not found');
   res.status(404).send('Not found');
 });
 
 app.use((err, _req, res, _next) => {
   if (err instanceof multer.MulterError) {
-    return res.status(400).json({ error: err.message });
-  }
-  if (typeof err?.message === 'string' &&
-      (err.message.includes('Unsupported file extension') || err.message.includes('Only image'))) {
-    return res.status(400).json({ error: err.message });
+    return sendError(res, 400, err.message, { code: 'upload_rejected' });
   }
+  // src/images.js: not an image we take, or one it could not decode
+  if (err?.code === 'upload_rejected') return sendError(res, 400, err.message, { code: 'upload_rejected' });
+  // body-parser: malformed JSON / oversized body
+  if (err?.type === 'entity.parse.failed') return sendError(res, 400, 'Malformed JSON body', { code: 'invalid_json' });
+  if (err?.type === 'entity.too.large') return sendError(res, 413, 'Request body too large');
   console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  sendError(res, 500, 'Internal server error');
 });
 
 // ──────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,21 @@
+// src/store/import-cli.js
+// Usage: npm run import:json [-- --from <dir>]
+// Imports markers.json / tips.json into whichever store STORE_DRIVER selects
+// (normally sqlite). Defaults to the JSON files in DATA_DIR.
+import 'dotenv/config';
+import path from 'path';
+import { resolvePersistPaths } from '../persist.js';
+import { openStore } from './index.js';
+import { importJsonFiles } from './import.js';
+
+const { DATA_DIR } = resolvePersistPaths();
+const fromIdx = process.argv.indexOf('--from');
+const fromDir = fromIdx !== -1 ? path.resolve(process.argv[fromIdx + 1] || '') : DATA_DIR;
+
+const store = await openStore({ driver: process.env.STORE_DRIVER, dataDir: DATA_DIR, autoImport: false });
+try {
+  const counts = await importJsonFiles(store, fromDir);
+  console.log(`[import] ${fromDir} → ${store.driver}:`, counts);
+} finally {
+  await store.close();
+}
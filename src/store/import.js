@@ -0,0 +1,78 @@
+// src/store/import.js
+import path from 'path';
+import fs from 'fs';
+import { migrateLegacyData } from './migrate.js';
+
+function readIfExists(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Copy markers.json / tips.json / users.json / revisions.json /
+ * categories.json / reports.json / uploads.json from `fromDir` into `store`. Legacy shapes
+ * are migrated on the way in, and records whose id already exists are
+ * skipped, so running it twice is harmless.
+ */
+export async function importJsonFiles(store, fromDir) {
+  const { markers, tips } = migrateLegacyData({
+    markers: readIfExists(path.join(fromDir, 'markers.json'), []),
+    tips:    readIfExists(path.join(fromDir, 'tips.json'), {})
+  });
+
+  const users = readIfExists(path.join(fromDir, 'users.json'), []);
+  const revisions = readIfExists(path.join(fromDir, 'revisions.json'), {});
+  const categories = readIfExists(path.join(fromDir, 'categories.json'), []);
+  const reports = readIfExists(path.join(fromDir, 'reports.json'), []);
+  const uploads = readIfExists(path.join(fromDir, 'uploads.json'), []);
+
+  const counts = { markers: 0, tips: 0, users: 0, revisions: 0, categories: 0, reports: 0, uploads: 0, skipped: 0 };
+  for (const m of markers) {
+    if (await store.markers.get(m.id)) { counts.skipped++; continue; }
+    await store.markers.create(m);
+    counts.markers++;
+  }
+  for (const [key, arr] of Object.entries(tips)) {
+    for (const t of arr) {
+      if (!t?.id || await store.tips.get(t.id)) { counts.skipped++; continue; }
+      await store.tips.create(key, t);
+      counts.tips++;
+    }
+  }
+  for (const u of users) {
+    if (!u?.id || await store.users.get(u.id) || await store.users.findByName(u.username)) {
+      counts.skipped++; continue;
+    }
+    await store.users.create(u);
+    counts.users++;
+  }
+  for (const arr of Object.values(revisions)) {
+    const first = arr[0];
+    if (!first) continue;
+    const have = new Set((await store.revisions.list(first.kind, first.targetId)).map(r => r.id));
+    for (const r of arr) {
+      if (!r?.id || have.has(r.id)) { counts.skipped++; continue; }
+      await store.revisions.append(r);
+      counts.revisions++;
+    }
+  }
+  for (const c of categories) {
+    if (!c?.key || await store.categories.get(c.key)) { counts.skipped++; continue; }
+    await store.categories.create(c);
+    counts.categories++;
+  }
+  const haveReports = new Set((await store.reports.list()).map(r => r.id));
+  for (const r of reports) {
+    if (!r?.id || haveReports.has(r.id)) { counts.skipped++; continue; }
+    await store.reports.create(r);
+    counts.reports++;
+  }
+  const haveUploads = new Set((await store.uploads.list()).map(u => u.url));
+  for (const u of uploads) {
+    if (!u?.url || haveUploads.has(u.url)) { counts.skipped++; continue; }
+    await store.uploads.create(u);
+    counts.uploads++;
+  }
+  return counts;
+}
+
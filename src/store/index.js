@@ -0,0 +1,73 @@
+// src/store/index.js
+import { createJsonStore } from './json.js';
+import { importJsonFiles } from './import.js';
+
+/**
+ * Store interface (every method is async):
+ *
+ *   markers.list()              → [marker]
+ *   markers.get(id)             → marker | null
+ *   markers.create(marker)      → marker            (caller assigns id)
+ *   markers.update(id, patch)   → marker | null     (shallow merge)
+ *   markers.remove(id)          → boolean
+ *
+ *   tips.all()                  → { key: [tip] }
+ *   tips.list(key)              → [tip]             (insertion order)
+ *   tips.get(id)                → { key, …tip } | null
+ *   tips.create(key, tip)       → tip               (caller assigns id)
+ *   tips.update(id, patch)      → tip | null        (shallow merge)
+ *   tips.remove(id)             → boolean
+ *
+ *   users.get(id)               → user | null
+ *   users.findByName(username)  → user | null      (case-insensitive)
+ *   users.create(user)          → user             (caller assigns id)
+ *   users.update(id, patch)     → user | null      (shallow merge)
+ *
+ *   revisions.list(kind, targetId) → [revision]     (oldest first)
+ *   revisions.append(revision)  → revision         (append-only; no update/remove)
+ *
+ *   categories.list()           → [category]       (insertion order)
+ *   categories.get(key)         → category | null
+ *   categories.create(category) → category
+ *   categories.update(key, patch) → category | null (shallow merge)
+ *
+ *   reports.list()              → [report]         (insertion order)
+ *   reports.create(report)      → report           (caller assigns id)
+ *   reports.update(id, patch)   → report | null    (shallow merge)
+ *
+ *   uploads.list()              → [upload]         ({ url, userId, bytes, uploadedAt })
+ *   uploads.create(upload)      → upload           (keyed by url; an existing entry is replaced)
+ *   uploads.remove(url)         → boolean
+ *
+ *   close()
+ */
+export const STORE_DRIVERS = ['json', 'sqlite'];
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.driver]      'json' (default) or 'sqlite'
+ * @param {string} opts.dataDir       DATA_DIR
+ * @param {object} [opts.backup]      JSON store backups: { keep, minIntervalMs }
+ * @param {boolean} [opts.autoImport] import JSON files into a brand-new SQLite db
+ * @param {boolean} [opts.readOnly]   inspect an existing store (egadmin verify/stats):
+ *   nothing is created, migrated or repaired, writes reject, a missing store throws
+ */
+export async function openStore({ driver, dataDir, backup, autoImport = true, readOnly = false }) {
+  const name = String(driver || 'json').trim().toLowerCase();
+  if (!STORE_DRIVERS.includes(name)) {
+    throw new Error(`Unknown STORE_DRIVER "${driver}" (expected ${STORE_DRIVERS.join(' or ')})`);
+  }
+
+  if (name === 'json') return createJsonStore({ dataDir, backup, readOnly });
+
+  // Loaded lazily so JSON-only deploys never touch the native module.
+  const { createSqliteStore } = await import('./sqlite.js');
+  const store = createSqliteStore({ dataDir, readOnly });
+
+  // First start on SQLite: bring over whatever the JSON store had.
+  if (store.isNew && autoImport && !readOnly) {
+    const counts = await importJsonFiles(store, dataDir);
+    if (counts.markers || counts.tips || counts.users) console.log('[store] imported existing JSON data:', counts);
+  }
+  return store;
+}
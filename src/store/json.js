@@ -0,0 +1,250 @@
+// src/store/json.js
+import path from 'path';
+import fs from 'fs';
+import { migrateLegacyData } from './migrate.js';
+import { createWriteQueue, writeFileAtomic, backupFile, readJSONWithRecovery } from './safeFile.js';
+
+// ──────────────────────────────────────────────────────────────────────────────
+/** Tiny file store helpers */
+// ──────────────────────────────────────────────────────────────────────────────
+function ensureFile(filePath, initialContent) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, initialContent, 'utf8');
+}
+
+/**
+ * Flat-file store: markers.json (array) + tips.json ({ key: [tip, …] })
+ * + users.json (array) + revisions.json ({ "<kind>:<targetId>": [rev, …] })
+ * + categories.json (array) + reports.json (array) + uploads.json (array).
+ * Every call re-reads the file, so hand edits are picked up immediately.
+ * Mutations go through one in-process queue and land via temp-file + rename;
+ * the previous version is copied to DATA_DIR/backups first (rate-limited,
+ * rotated). A file that no longer parses is restored from the newest backup.
+ * With `readOnly` the files must already exist and are never touched: no
+ * migration, no recovery (a broken file throws), and every mutation rejects.
+ */
+export async function createJsonStore({ dataDir, backup = {}, readOnly = false }) {
+  const MARKERS_FILE = path.join(dataDir, 'markers.json');
+  const TIPS_FILE    = path.join(dataDir, 'tips.json');
+  const USERS_FILE   = path.join(dataDir, 'users.json');
+  const REVS_FILE    = path.join(dataDir, 'revisions.json');
+  const CATS_FILE    = path.join(dataDir, 'categories.json');
+  const REPORTS_FILE = path.join(dataDir, 'reports.json');
+  const UPLOADS_FILE = path.join(dataDir, 'uploads.json');
+  if (readOnly) {
+    if (!fs.existsSync(MARKERS_FILE)) throw new Error(`No JSON store in ${dataDir} (markers.json not found)`);
+  } else {
+    ensureFile(MARKERS_FILE, JSON.stringify([]));
+    ensureFile(TIPS_FILE,    JSON.stringify({}));
+    ensureFile(USERS_FILE,   JSON.stringify([]));
+    ensureFile(REVS_FILE,    JSON.stringify({}));
+    ensureFile(CATS_FILE,    JSON.stringify([]));
+    ensureFile(REPORTS_FILE, JSON.stringify([]));
+    ensureFile(UPLOADS_FILE, JSON.stringify([]));
+  }
+
+  const backupOpts = {
+    backupDir: path.join(dataDir, 'backups'),
+    keep: backup.keep ?? 20,
+    minIntervalMs: backup.minIntervalMs ?? 10 * 60 * 1000,
+    readOnly
+  };
+  const queue = createWriteQueue();
+  const enqueue = readOnly
+    ? () => Promise.reject(new Error('Store opened read-only'))
+    : queue;
+
+  const writeJSON = async (file, value) => {
+    await backupFile(file, backupOpts);
+    await writeFileAtomic(file, JSON.stringify(value, null, 2));
+  };
+  const readMarkers = () => readJSONWithRecovery(MARKERS_FILE, [], backupOpts);
+  const writeMarkers = (arr) => writeJSON(MARKERS_FILE, arr);
+  const readTips = () => readJSONWithRecovery(TIPS_FILE, {}, backupOpts);
+  const writeTips = (obj) => writeJSON(TIPS_FILE, obj);
+  const readUsers = () => readJSONWithRecovery(USERS_FILE, [], backupOpts);
+  const writeUsers = (arr) => writeJSON(USERS_FILE, arr);
+  const readRevs = () => readJSONWithRecovery(REVS_FILE, {}, backupOpts);
+  const writeRevs = (obj) => writeJSON(REVS_FILE, obj);
+  const readCats = () => readJSONWithRecovery(CATS_FILE, [], backupOpts);
+  const writeCats = (arr) => writeJSON(CATS_FILE, arr);
+  const readReports = () => readJSONWithRecovery(REPORTS_FILE, [], backupOpts);
+  const writeReports = (arr) => writeJSON(REPORTS_FILE, arr);
+  const readUploads = () => readJSONWithRecovery(UPLOADS_FILE, [], backupOpts);
+  const writeUploads = (arr) => writeJSON(UPLOADS_FILE, arr);
+
+  if (!readOnly) await enqueue(async () => {
+    try {
+      const migrated = migrateLegacyData({ markers: readMarkers(), tips: readTips() });
+      if (migrated.changed) {
+        await writeMarkers(migrated.markers);
+        await writeTips(migrated.tips);
+        console.log('[data] migrated legacy markers/tips to id-based keys');
+      }
+    } catch (e) {
+      console.warn('[data] legacy migration skipped:', e.message);
+    }
+  });
+
+  const findTip = (all, id) => {
+    for (const [key, arr] of Object.entries(all)) {
+      const i = arr.findIndex(t => t.id === id);
+      if (i !== -1) return { key, arr, i };
+    }
+    return null;
+  };
+
+  return {
+    driver: 'json',
+
+    markers: {
+      async list() { return readMarkers(); },
+      async get(id) { return readMarkers().find(m => m.id === id) || null; },
+      create: (marker) => enqueue(async () => {
+        const list = readMarkers();
+        list.push(marker);
+        await writeMarkers(list);
+        return marker;
+      }),
+      update: (id, patch) => enqueue(async () => {
+        const list = readMarkers();
+        const i = list.findIndex(m => m.id === id);
+        if (i < 0) return null;
+        list[i] = { ...list[i], ...patch, id };
+        await writeMarkers(list);
+        return list[i];
+      }),
+      remove: (id) => enqueue(async () => {
+        const list = readMarkers();
+        const i = list.findIndex(m => m.id === id);
+        if (i < 0) return false;
+        list.splice(i, 1);
+        await writeMarkers(list);
+        return true;
+      })
+    },
+
+    tips: {
+      async all() { return readTips(); },
+      async list(key) { return readTips()[key] || []; },
+      async get(id) {
+        const hit = findTip(readTips(), id);
+        return hit ? { key: hit.key, ...hit.arr[hit.i] } : null;
+      },
+      create: (key, tip) => enqueue(async () => {
+        const all = readTips();
+        all[key] = all[key] || [];
+        all[key].push(tip);
+        await writeTips(all);
+        return tip;
+      }),
+      update: (id, patch) => enqueue(async () => {
+        const all = readTips();
+        const hit = findTip(all, id);
+        if (!hit) return null;
+        hit.arr[hit.i] = { ...hit.arr[hit.i], ...patch, id };
+        await writeTips(all);
+        return hit.arr[hit.i];
+      }),
+      remove: (id) => enqueue(async () => {
+        const all = readTips();
+        const hit = findTip(all, id);
+        if (!hit) return false;
+        hit.arr.splice(hit.i, 1);
+        await writeTips(all);
+        return true;
+      })
+    },
+
+    users: {
+      async get(id) { return readUsers().find(u => u.id === id) || null; },
+      async findByName(username) {
+        const want = String(username).toLowerCase();
+        return readUsers().find(u => u.username.toLowerCase() === want) || null;
+      },
+      create: (user) => enqueue(async () => {
+        const list = readUsers();
+        list.push(user);
+        await writeUsers(list);
+        return user;
+      }),
+      update: (id, patch) => enqueue(async () => {
+        const list = readUsers();
+        const i = list.findIndex(u => u.id === id);
+        if (i < 0) return null;
+        list[i] = { ...list[i], ...patch, id };
+        await writeUsers(list);
+        return list[i];
+      })
+    },
+
+    revisions: {
+      async list(kind, targetId) { return readRevs()[`${kind}:${targetId}`] || []; },
+      append: (rev) => enqueue(async () => {
+        const all = readRevs();
+        (all[`${rev.kind}:${rev.targetId}`] ||= []).push(rev);
+        await writeRevs(all);
+        return rev;
+      })
+    },
+
+    categories: {
+      async list() { return readCats(); },
+      async get(key) { return readCats().find(c => c.key === key) || null; },
+      create: (cat) => enqueue(async () => {
+        const list = readCats();
+        list.push(cat);
+        await writeCats(list);
+        return cat;
+      }),
+      update: (key, patch) => enqueue(async () => {
+        const list = readCats();
+        const i = list.findIndex(c => c.key === key);
+        if (i < 0) return null;
+        list[i] = { ...list[i], ...patch, key };
+        await writeCats(list);
+        return list[i];
+      })
+    },
+
+    reports: {
+      async list() { return readReports(); },
+      create: (report) => enqueue(async () => {
+        const list = readReports();
+        list.push(report);
+        await writeReports(list);
+        return report;
+      }),
+      update: (id, patch) => enqueue(async () => {
+        const list = readReports();
+        const i = list.findIndex(r => r.id === id);
+        if (i < 0) return null;
+        list[i] = { ...list[i], ...patch, id };
+        await writeReports(list);
+        return list[i];
+      })
+    },
+
+    uploads: {
+      async list() { return readUploads(); },
+      create: (upload) => enqueue(async () => {
+        const list = readUploads().filter(u => u.url !== upload.url);
+        list.push(upload);
+        await writeUploads(list);
+        return upload;
+      }),
+      remove: (url) => enqueue(async () => {
+        const list = readUploads();
+        const i = list.findIndex(u => u.url === url);
+        if (i < 0) return false;
+        list.splice(i, 1);
+        await writeUploads(list);
+        return true;
+      })
+    },
+
+    // Resolves once queued writes have landed.
+    close: () => queue(async () => {})
+  };
+}
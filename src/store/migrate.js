@@ -0,0 +1,52 @@
+// src/store/migrate.js
+import crypto from 'crypto';
+
+// Derived from the record itself (UUID-shaped sha1) so importing the same
+// legacy file twice lands on the same ids instead of duplicating markers.
+function legacyMarkerId(m, i) {
+  const h = crypto.createHash('sha1')
+    .update(JSON.stringify([i, m.lat, m.lon, m.title, m.timestamp, m.userId ?? null]))
+    .digest('hex');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-8${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+/**
+ * Bring legacy flat-file data up to the current shape. Pure: returns new
+ * objects plus a `changed` flag so callers decide whether to persist.
+ *
+ *  - bare tip keys ("07055660", "3") become "usgs:<id>" / "custom:<id>"
+ *  - markers get a permanent id; tips keyed "custom:<index>" move to
+ *    "custom:<id>" (only while some marker still lacks an id, so it runs once)
+ */
+export function migrateLegacyData({ markers, tips }) {
+  let changed = false;
+  const list = Array.isArray(markers) ? markers.map(m => ({ ...m })) : [];
+
+  let all = {};
+  for (const [k, arr] of Object.entries(tips && typeof tips === 'object' ? tips : {})) {
+    let nk = k;
+    if (typeof k === 'string' && !k.includes(':')) {
+      nk = /^\d{7,15}$/.test(k) ? `usgs:${k}` : `custom:${k}`;
+    }
+    if (nk !== k) changed = true;
+    all[nk] = Array.isArray(arr) ? arr : [];
+  }
+
+  if (list.some(m => !m.id)) {
+    const next = {};
+    for (const [k, arr] of Object.entries(all)) {
+      const m = /^custom:(\d+)$/.exec(k);
+      if (m && list[Number(m[1])]) continue; // re-keyed below
+      next[k] = arr;
+    }
+    list.forEach((marker, i) => {
+      if (!marker.id) marker.id = legacyMarkerId(marker, i);
+      const legacy = all[`custom:${i}`];
+      if (legacy) next[`custom:${marker.id}`] = [...(next[`custom:${marker.id}`] || []), ...legacy];
+    });
+    all = next;
+    changed = true;
+  }
+
+  return { markers: list, tips: all, changed };
+}
@@ -0,0 +1,109 @@
+// src/store/safeFile.js
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Serialize async tasks: each one starts after the previous settles, so a
+ * read-modify-write can't interleave with another request's.
+ */
+export function createWriteQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+/** Write to a temp file in the same folder, fsync, then rename over the target */
+export async function writeFileAtomic(file, text) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomUUID()}.tmp`);
+  const fh = await fs.promises.open(tmp, 'w');
+  try {
+    await fh.writeFile(text, 'utf8');
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  try {
+    await fs.promises.rename(tmp, file);
+  } catch (e) {
+    await fs.promises.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Rotating backups: <backupDir>/<name>-<ISO timestamp>.json, newest kept
+// ──────────────────────────────────────────────────────────────────────────────
+const stamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+export function listBackups(backupDir, file) {
+  const base = path.basename(file, '.json');
+  const re = new RegExp(`^${base}-\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z\\.json$`);
+  let names = [];
+  try { names = fs.readdirSync(backupDir).filter(n => re.test(n)); } catch {}
+  return names.sort().reverse().map(n => path.join(backupDir, n)); // newest first
+}
+
+/**
+ * Copy the live file into backupDir unless the newest backup is younger than
+ * `minIntervalMs`, then prune down to `keep` files.
+ */
+export async function backupFile(file, { backupDir, keep, minIntervalMs }) {
+  if (!fs.existsSync(file)) return null;
+  await fs.promises.mkdir(backupDir, { recursive: true });
+
+  const newest = listBackups(backupDir, file)[0];
+  if (newest) {
+    const age = Date.now() - fs.statSync(newest).mtimeMs;
+    if (age < minIntervalMs) return null;
+  }
+
+  const dest = path.join(backupDir, `${path.basename(file, '.json')}-${stamp()}.json`);
+  await fs.promises.copyFile(file, dest);
+  for (const old of listBackups(backupDir, file).slice(keep)) {
+    await fs.promises.rm(old, { force: true });
+  }
+  return dest;
+}
+
+/**
+ * Parse a JSON file. On a parse error the broken file is set aside and the
+ * newest backup that parses is restored; only if none does do we fall back
+ * to `fallback` (and say so loudly). With `readOnly` a parse error just throws.
+ */
+export function readJSONWithRecovery(file, fallback, { backupDir, readOnly = false }) {
+  let txt;
+  try {
+    txt = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+  try {
+    return JSON.parse(txt);
+  } catch (e) {
+    if (readOnly) throw new Error(`Bad JSON in ${path.basename(file)}: ${e.message}`);
+    console.warn('[data] bad JSON in', path.basename(file), '-', e.message);
+  }
+
+  const aside = path.join(path.dirname(file), `${path.basename(file, '.json')}.corrupt-${stamp()}.json`);
+  try { fs.renameSync(file, aside); console.warn('[data] moved broken file to', path.basename(aside)); } catch {}
+
+  for (const candidate of listBackups(backupDir, file)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+      fs.copyFileSync(candidate, file);
+      console.warn('[data] restored', path.basename(file), 'from backup', path.basename(candidate));
+      return data;
+    } catch {
+      // try the next older one
+    }
+  }
+
+  console.error('[data] no usable backup for', path.basename(file), '- starting empty');
+  fs.writeFileSync(file, JSON.stringify(fallback, null, 2), 'utf8');
+  return fallback;
+}
@@ -0,0 +1,228 @@
+// src/store/sqlite.js
+import path from 'path';
+import fs from 'fs';
+import Database from 'better-sqlite3';
+
+const TABLES = ['markers', 'tips', 'users', 'revisions', 'categories', 'reports', 'uploads'];
+
+/**
+ * Embedded SQLite store (one file under DATA_DIR). Records are kept as JSON
+ * documents so new fields don't need a schema change; the columns we look
+ * things up by (id, tip key) are broken out and indexed. `seq` preserves
+ * insertion order, which the JSON store gets for free from its arrays.
+ * `readOnly` opens an existing file without creating or upgrading anything.
+ */
+export function createSqliteStore({ dataDir, file = 'egdata.sqlite', readOnly = false }) {
+  const dbFile = path.join(dataDir, file);
+  const isNew = !fs.existsSync(dbFile);
+  if (readOnly && isNew) {
+    throw new Error(`No SQLite store at ${dbFile} (start the server once or run npm run import:json)`);
+  }
+  const db = new Database(dbFile, { readonly: readOnly, fileMustExist: readOnly });
+  if (readOnly) {
+    const have = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(r => r.name));
+    const missing = TABLES.filter(t => !have.has(t));
+    if (missing.length) {
+      db.close();
+      throw new Error(`${dbFile} has no ${missing.join(', ')} table(s) yet (start the server once to upgrade it)`);
+    }
+  } else {
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+  }
+
+  if (!readOnly) db.exec(`
+    CREATE TABLE IF NOT EXISTS markers (
+      seq  INTEGER PRIMARY KEY AUTOINCREMENT,
+      id   TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tips (
+      seq  INTEGER PRIMARY KEY AUTOINCREMENT,
+      id   TEXT NOT NULL UNIQUE,
+      key  TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS tips_by_key ON tips (key, seq);
+    CREATE TABLE IF NOT EXISTS users (
+      seq      INTEGER PRIMARY KEY AUTOINCREMENT,
+      id       TEXT NOT NULL UNIQUE,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      data     TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS revisions (
+      seq       INTEGER PRIMARY KEY AUTOINCREMENT,
+      id        TEXT NOT NULL UNIQUE,
+      kind      TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      data      TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS revisions_by_target ON revisions (kind, target_id, seq);
+    CREATE TABLE IF NOT EXISTS categories (
+      seq  INTEGER PRIMARY KEY AUTOINCREMENT,
+      key  TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS reports (
+      seq  INTEGER PRIMARY KEY AUTOINCREMENT,
+      id   TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS uploads (
+      seq  INTEGER PRIMARY KEY AUTOINCREMENT,
+      url  TEXT NOT NULL UNIQUE,
+      data TEXT NOT NULL
+    );
+  `);
+
+  const q = {
+    markerList:   db.prepare('SELECT data FROM markers ORDER BY seq'),
+    markerGet:    db.prepare('SELECT data FROM markers WHERE id = ?'),
+    markerInsert: db.prepare('INSERT INTO markers (id, data) VALUES (?, ?)'),
+    markerUpdate: db.prepare('UPDATE markers SET data = ? WHERE id = ?'),
+    markerDelete: db.prepare('DELETE FROM markers WHERE id = ?'),
+
+    tipAll:    db.prepare('SELECT key, data FROM tips ORDER BY seq'),
+    tipList:   db.prepare('SELECT data FROM tips WHERE key = ? ORDER BY seq'),
+    tipGet:    db.prepare('SELECT key, data FROM tips WHERE id = ?'),
+    tipInsert: db.prepare('INSERT INTO tips (id, key, data) VALUES (?, ?, ?)'),
+    tipUpdate: db.prepare('UPDATE tips SET data = ? WHERE id = ?'),
+    tipDelete: db.prepare('DELETE FROM tips WHERE id = ?'),
+
+    userGet:    db.prepare('SELECT data FROM users WHERE id = ?'),
+    userByName: db.prepare('SELECT data FROM users WHERE username = ?'),
+    userInsert: db.prepare('INSERT INTO users (id, username, data) VALUES (?, ?, ?)'),
+    userUpdate: db.prepare('UPDATE users SET username = ?, data = ? WHERE id = ?'),
+
+    revList:   db.prepare('SELECT data FROM revisions WHERE kind = ? AND target_id = ? ORDER BY seq'),
+    revInsert: db.prepare('INSERT INTO revisions (id, kind, target_id, data) VALUES (?, ?, ?, ?)'),
+
+    catList:   db.prepare('SELECT data FROM categories ORDER BY seq'),
+    catGet:    db.prepare('SELECT data FROM categories WHERE key = ?'),
+    catInsert: db.prepare('INSERT INTO categories (key, data) VALUES (?, ?)'),
+    catUpdate: db.prepare('UPDATE categories SET data = ? WHERE key = ?'),
+
+    reportList:   db.prepare('SELECT data FROM reports ORDER BY seq'),
+    reportGet:    db.prepare('SELECT data FROM reports WHERE id = ?'),
+    reportInsert: db.prepare('INSERT INTO reports (id, data) VALUES (?, ?)'),
+    reportUpdate: db.prepare('UPDATE reports SET data = ? WHERE id = ?'),
+
+    uploadList:   db.prepare('SELECT data FROM uploads ORDER BY seq'),
+    uploadInsert: db.prepare('INSERT OR REPLACE INTO uploads (url, data) VALUES (?, ?)'),
+    uploadDelete: db.prepare('DELETE FROM uploads WHERE url = ?')
+  };
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+
+  return {
+    driver: 'sqlite',
+    isNew,
+
+    markers: {
+      async list() { return q.markerList.all().map(parse); },
+      async get(id) { return parse(q.markerGet.get(id)); },
+      async create(marker) {
+        q.markerInsert.run(marker.id, JSON.stringify(marker));
+        return marker;
+      },
+      async update(id, patch) {
+        const cur = parse(q.markerGet.get(id));
+        if (!cur) return null;
+        const next = { ...cur, ...patch, id };
+        q.markerUpdate.run(JSON.stringify(next), id);
+        return next;
+      },
+      async remove(id) { return q.markerDelete.run(id).changes > 0; }
+    },
+
+    tips: {
+      async all() {
+        const out = {};
+        for (const row of q.tipAll.all()) (out[row.key] ||= []).push(parse(row));
+        return out;
+      },
+      async list(key) { return q.tipList.all(key).map(parse); },
+      async get(id) {
+        const row = q.tipGet.get(id);
+        return row ? { key: row.key, ...parse(row) } : null;
+      },
+      async create(key, tip) {
+        q.tipInsert.run(tip.id, key, JSON.stringify(tip));
+        return tip;
+      },
+      async update(id, patch) {
+        const cur = parse(q.tipGet.get(id));
+        if (!cur) return null;
+        const next = { ...cur, ...patch, id };
+        q.tipUpdate.run(JSON.stringify(next), id);
+        return next;
+      },
+      async remove(id) { return q.tipDelete.run(id).changes > 0; }
+    },
+
+    users: {
+      async get(id) { return parse(q.userGet.get(id)); },
+      async findByName(username) { return parse(q.userByName.get(String(username))); },
+      async create(user) {
+        q.userInsert.run(user.id, user.username, JSON.stringify(user));
+        return user;
+      },
+      async update(id, patch) {
+        const cur = parse(q.userGet.get(id));
+        if (!cur) return null;
+        const next = { ...cur, ...patch, id };
+        q.userUpdate.run(next.username, JSON.stringify(next), id);
+        return next;
+      }
+    },
+
+    revisions: {
+      async list(kind, targetId) { return q.revList.all(kind, targetId).map(parse); },
+      async append(rev) {
+        q.revInsert.run(rev.id, rev.kind, rev.targetId, JSON.stringify(rev));
+        return rev;
+      }
+    },
+
+    categories: {
+      async list() { return q.catList.all().map(parse); },
+      async get(key) { return parse(q.catGet.get(key)); },
+      async create(cat) {
+        q.catInsert.run(cat.key, JSON.stringify(cat));
+        return cat;
+      },
+      async update(key, patch) {
+        const cur = parse(q.catGet.get(key));
+        if (!cur) return null;
+        const next = { ...cur, ...patch, key };
+        q.catUpdate.run(JSON.stringify(next), key);
+        return next;
+      }
+    },
+
+    reports: {
+      async list() { return q.reportList.all().map(parse); },
+      async create(report) {
+        q.reportInsert.run(report.id, JSON.stringify(report));
+        return report;
+      },
+      async update(id, patch) {
+        const cur = parse(q.reportGet.get(id));
+        if (!cur) return null;
+        const next = { ...cur, ...patch, id };
+        q.reportUpdate.run(JSON.stringify(next), id);
+        return next;
+      }
+    },
+
+    uploads: {
+      async list() { return q.uploadList.all().map(parse); },
+      async create(upload) {
+        q.uploadInsert.run(upload.url, JSON.stringify(upload));
+        return upload;
+      },
+      async remove(url) { return q.uploadDelete.run(url).changes > 0; }
+    },
+
+    async close() { db.close(); }
+  };
+}
@@ -0,0 +1,65 @@
+// src/svgSanitize.js
+import { XMLParser } from 'fast-xml-parser';
+import { escapeXML } from './interchange/categories.js';
+
+// Plain shapes only: no <script>, <foreignObject>, <image>, <use>, <style>,
+// event handlers or external references survive.
+const ALLOWED_TAGS = new Set([
+  'svg', 'g', 'path', 'circle', 'ellipse', 'rect', 'line', 'polyline', 'polygon', 'title'
+]);
+const ALLOWED_ATTRS = new Set([
+  'viewBox', 'width', 'height', 'd', 'fill', 'fill-rule', 'fill-opacity', 'clip-rule',
+  'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-opacity', 'opacity',
+  'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'points', 'transform'
+]);
+const UNSAFE_VALUE = /url\s*\(|javascript:|data:|expression\s*\(|[<>]/i;
+
+export const SVG_MAX_BYTES = 20 * 1024;
+
+const parser = new XMLParser({
+  preserveOrder: true,
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  ignoreDeclaration: true,
+  ignorePiTags: true,
+  commentPropName: '#comment'
+});
+
+function render(nodes) {
+  let out = '';
+  for (const node of nodes) {
+    if ('#text' in node) { out += escapeXML(String(node['#text']).trim()); continue; }
+    const tag = Object.keys(node).find(k => k !== ':@');
+    if (!tag || !ALLOWED_TAGS.has(tag)) continue;   // drops comments, CDATA and unknown elements
+    const attrs = Object.entries(node[':@'] || {})
+      .filter(([name, value]) => ALLOWED_ATTRS.has(name) && !UNSAFE_VALUE.test(String(value)))
+      .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+      .join('');
+    const inner = render(node[tag] || []);
+    out += inner ? `<${tag}${attrs}>${inner}</${tag}>` : `<${tag}${attrs}/>`;
+  }
+  return out;
+}
+
+/**
+ * Rebuild an uploaded SVG from an allowlist of shape elements/attributes.
+ * Returns { svg } (a single <svg> root, safe to inline) or { error }.
+ */
+export function sanitizeSvg(input) {
+  const raw = String(input ?? '');
+  if (!raw.trim()) return { error: 'Empty SVG' };
+  if (Buffer.byteLength(raw) > SVG_MAX_BYTES) return { error: `SVG too large (max ${SVG_MAX_BYTES / 1024} KB)` };
+  if (/<!DOCTYPE|<!ENTITY/i.test(raw)) return { error: 'SVG must not declare a DOCTYPE' };
+
+  let nodes;
+  try { nodes = parser.parse(raw); } catch (e) { return { error: `Invalid SVG: ${e.message}` }; }
+  const root = nodes.find(n => 'svg' in n);
+  if (!root) return { error: 'Expected an <svg> root element' };
+
+  const svg = render([root]);
+  if (!/<(path|circle|ellipse|rect|line|polyline|polygon)\b/.test(svg)) return { error: 'SVG has no drawable shapes' };
+  return { svg };
+}
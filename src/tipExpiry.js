@@ -0,0 +1,55 @@
+// src/tipExpiry.js
+// Optional end dates on tips. A tip stores `expiresAt` (ms, or null for never)
+// and, when it was set from a preset, `expiresIn` (the preset name) so a draft's
+// relative expiry can be counted again from the moment it is published.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const TIP_EXPIRY_PRESETS = { '24h': 24 * HOUR, '3d': 3 * DAY, '7d': 7 * DAY, '30d': 30 * DAY };
+export const TIP_EXPIRY_MAX_DAYS = 365;
+
+/** Past its expiry at `now` (tips without one never expire) */
+export const isExpired = (t, now = Date.now()) => t?.expiresAt != null && Number(t.expiresAt) <= now;
+
+/**
+ * An env default ("7d", "never", empty) → preset name or null (never).
+ * Unknown values fall back to `fallback` with a warning.
+ */
+export function parseExpiryDefault(value, fallback, name) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (!v) return fallback;
+  if (v === 'never') return null;
+  if (TIP_EXPIRY_PRESETS[v]) return v;
+  console.warn(`[tips] ${name}="${value}" is not one of ${Object.keys(TIP_EXPIRY_PRESETS).join(', ')}, never; using ${fallback ?? 'never'}`);
+  return fallback;
+}
+
+/** The stored fields for a preset counted from `now` */
+export const expiryFromPreset = (preset, now = Date.now()) => preset
+  ? { expiresIn: preset, expiresAt: now + TIP_EXPIRY_PRESETS[preset] }
+  : { expiresIn: null, expiresAt: null };
+
+/**
+ * Turn a tip body's `expiresIn` / `expiresAt` (as parsed by the schemas) into the
+ * fields to store. Either may be given, not both; `expiresIn: null` / "never" and
+ * `expiresAt: null` both clear it. With neither → `fallback` (undefined means
+ * "leave as is").
+ * @returns {{ value?: { expiresIn, expiresAt }, error?: { message, fields } }}
+ */
+export function resolveTipExpiry({ expiresIn, expiresAt }, { fallback, now = Date.now() } = {}) {
+  const invalid = (field, message) => ({ error: { message, fields: { [field]: message } } });
+  if (expiresIn !== undefined && expiresAt !== undefined) {
+    return invalid('expiresAt', 'Give expiresIn or expiresAt, not both');
+  }
+  if (expiresIn !== undefined) return { value: expiryFromPreset(expiresIn === 'never' ? null : expiresIn, now) };
+  if (expiresAt === null) return { value: { expiresIn: null, expiresAt: null } };
+  if (expiresAt !== undefined) {
+    if (expiresAt <= now) return invalid('expiresAt', 'Expiry must be in the future');
+    if (expiresAt > now + TIP_EXPIRY_MAX_DAYS * DAY) {
+      return invalid('expiresAt', `Expiry must be within ${TIP_EXPIRY_MAX_DAYS} days`);
+    }
+    return { value: { expiresIn: null, expiresAt } };
+  }
+  return { value: fallback };
+}
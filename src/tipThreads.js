@@ -0,0 +1,75 @@
+// src/tipThreads.js
+// Server-side ordering and paging for a target's tips. Pages are cut between
+// threads, never inside one: each page holds `limit` top-level tips, every one
+// followed by all of its replies.
+
+export const TIP_SORTS = ['newest', 'oldest', 'helpful'];
+export const TIP_PAGE_MAX = 100;
+
+// Sort key per tip, compared left to right; `id` breaks ties so paging is stable
+const sortKey = (sort, t) => sort === 'helpful'
+  ? [t.helpful || 0, Number(t.timestamp) || 0, String(t.id)]
+  : [Number(t.timestamp) || 0, String(t.id)];
+
+// > 0 when key `a` comes after key `b` in `sort` order
+function compareKeys(sort, a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    const asc = a[i] < b[i] ? -1 : 1;
+    return sort === 'oldest' ? asc : -asc;
+  }
+  return 0;
+}
+
+// Cursors are opaque to clients: base64url(JSON [sort, …key of the last tip on the page])
+const encodeTipCursor = (sort, t) =>
+  Buffer.from(JSON.stringify([sort, ...sortKey(sort, t)]), 'utf8').toString('base64url');
+
+/** → the sort key to continue after, or null when malformed or made for another sort */
+export function decodeTipCursor(s, sort) {
+  try {
+    const [cursorSort, ...key] = JSON.parse(Buffer.from(String(s), 'base64url').toString('utf8'));
+    const shape = sortKey(sort, { id: '' });
+    if (cursorSort !== sort || key.length !== shape.length) return null;
+    return key.every((v, i) => typeof v === typeof shape[i]) ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One page of threads from a target's visible tips (each carrying `helpful`).
+ * A reply whose parent isn't among `tips` (deleted, hidden, a draft) counts
+ * as top-level. Replies keep insertion order under their parent.
+ * @param {object[]} tips
+ * @param {{ sort?: string, limit?: number, after?: Array|null }} opts
+ * @returns {{ items: object[], next: string|null }}
+ */
+export function pageTipThreads(tips, { sort = 'oldest', limit = Infinity, after = null } = {}) {
+  const ids = new Set(tips.map(t => t.id));
+  const replies = new Map();   // parentId → [tip]
+  const roots = [];
+  for (const t of tips) {
+    if (t.parentId && ids.has(t.parentId)) {
+      if (!replies.has(t.parentId)) replies.set(t.parentId, []);
+      replies.get(t.parentId).push(t);
+    } else roots.push(t);
+  }
+
+  let ordered = roots.sort((a, b) => compareKeys(sort, sortKey(sort, a), sortKey(sort, b)));
+  if (after) ordered = ordered.filter(t => compareKeys(sort, sortKey(sort, t), after) > 0);
+  const page = ordered.slice(0, limit);
+
+  const items = [];
+  const seen = new Set();
+  const walk = (t) => {
+    if (seen.has(t.id)) return;
+    seen.add(t.id);
+    items.push(t);
+    for (const r of replies.get(t.id) || []) walk(r);
+  };
+  page.forEach(walk);
+
+  const next = ordered.length > page.length ? encodeTipCursor(sort, page[page.length - 1]) : null;
+  return { items, next };
+}
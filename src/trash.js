@@ -0,0 +1,95 @@
+// src/trash.js
+import path from 'path';
+import fs from 'fs';
+import { photoFileNames, PHOTO_DIRS } from './images.js';
+
+/**
+ * Soft-delete bookkeeping. Deleting a marker or tip only stamps `deletedAt`
+ * (+ `deletedBy`); this module lists what a user has in the trash and hard-
+ * deletes whatever has outlived `retentionMs`, including tip and gallery photos
+ * that nothing remaining points at. A purged marker takes its tips with it.
+ */
+export function createTrash({ store, uploadsDir, retentionMs }) {
+  const purgeAt = (record) => record.deletedAt + retentionMs;
+
+  async function removePhotos(urls) {
+    if (!urls.size) return 0;
+    // Keep files that a surviving record (live or still in the trash) still uses
+    for (const arr of Object.values(await store.tips.all())) {
+      for (const t of arr) urls.delete(t.photoUrl);
+    }
+    for (const m of await store.markers.list()) {
+      for (const p of m.photos || []) urls.delete(p.url);
+    }
+    let removed = 0;
+    for (const url of urls) {
+      if (typeof url !== 'string') continue;
+      const prefix = Object.keys(PHOTO_DIRS).find(pre => url.startsWith(pre));
+      if (!prefix) continue;
+      let gone = false;
+      for (const name of photoFileNames(url)) {   // every size of a processed photo
+        const file = path.join(uploadsDir, PHOTO_DIRS[prefix], name);
+        try {
+          await fs.promises.unlink(file);
+          gone = true;
+        } catch (e) {
+          if (e.code !== 'ENOENT') console.warn('[trash] could not remove', file, e.message);
+        }
+      }
+      if (gone) {
+        removed++;
+        await store.uploads.remove(url);   // frees the uploader's quota
+      }
+    }
+    return removed;
+  }
+
+  return {
+    retentionMs,
+
+    /** Newest deletion first: what `userId` owns or deleted. */
+    async list(userId) {
+      const mine = (r) => r.deletedAt && (r.userId === userId || r.deletedBy === userId);
+      const items = [];
+      for (const m of await store.markers.list()) {
+        if (!mine(m)) continue;
+        items.push({ kind: 'marker', id: m.id, title: m.title, category: m.category ?? null,
+          deletedAt: m.deletedAt, purgeAt: purgeAt(m) });
+      }
+      for (const [key, arr] of Object.entries(await store.tips.all())) {
+        for (const t of arr) {
+          if (!mine(t)) continue;
+          items.push({ kind: 'tip', id: t.id, key, text: t.text, photoUrl: t.photoUrl ?? null,
+            moderated: t.deletedReason === 'moderation', deletedAt: t.deletedAt, purgeAt: purgeAt(t) });
+        }
+      }
+      return items.sort((a, b) => b.deletedAt - a.deletedAt);
+    },
+
+    /** Hard-delete everything past retention → { markers, tips, photos } */
+    async purgeExpired(now = Date.now()) {
+      const expired = (r) => r.deletedAt && purgeAt(r) <= now;
+      const counts = { markers: 0, tips: 0, photos: 0 };
+      const photos = new Set();
+
+      const goneMarkers = new Set();
+      for (const m of await store.markers.list()) {
+        if (!expired(m)) continue;
+        await store.markers.remove(m.id);
+        goneMarkers.add(`custom:${m.id}`);
+        for (const p of m.photos || []) photos.add(p.url);
+        counts.markers++;
+      }
+      for (const [key, arr] of Object.entries(await store.tips.all())) {
+        for (const t of arr) {
+          if (!expired(t) && !goneMarkers.has(key)) continue;
+          await store.tips.remove(t.id);
+          if (t.photoUrl) photos.add(t.photoUrl);
+          counts.tips++;
+        }
+      }
+      counts.photos = await removePhotos(photos);
+      return counts;
+    }
+  };
+}
@@ -0,0 +1,159 @@
+// src/uploads.js
+// Who uploaded which photo, and the sweep that clears out files nothing points
+// at. Every processed upload gets a ledger entry ({ url, userId, bytes,
+// uploadedAt }, store.uploads); a user's entries add up to their quota usage.
+// A file is kept while any tip or marker (live or in the trash) uses it; once
+// none does and it is older than the grace period, the sweep deletes every
+// size of it and its ledger entry. The grace period covers photos uploaded for
+// a tip that hasn't been posted yet.
+import path from 'path';
+import fs from 'fs';
+import { photoFileNames, PHOTO_DIRS } from './images.js';
+
+const formatBytes = (n) => n >= 1024 * 1024
+  ? `${(n / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.ceil(n / 1024)} KB`;
+
+// Stored URL → (file name → absolute path), or null when it isn't one of our uploads
+const fileOf = (uploadsDir, url) => {
+  const prefix = Object.keys(PHOTO_DIRS).find(pre => url.startsWith(pre));
+  return prefix ? (name) => path.join(uploadsDir, PHOTO_DIRS[prefix], name) : null;
+};
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store
+ * @param {string} opts.uploadsDir UPLOADS_DIR
+ * @param {number} opts.graceMs    unreferenced files younger than this are left alone
+ * @param {number} opts.quotaBytes per user; 0 = no limit
+ */
+export function createUploadLedger({ store, uploadsDir, graceMs, quotaBytes }) {
+  async function sizeOnDisk(url) {
+    const file = fileOf(uploadsDir, url);
+    if (!file) return 0;
+    let bytes = 0;
+    for (const name of photoFileNames(url)) {
+      try { bytes += (await fs.promises.stat(file(name))).size; } catch { /* size already gone */ }
+    }
+    return bytes;
+  }
+
+  async function removeFiles(url) {
+    const file = fileOf(uploadsDir, url);
+    if (!file) return;
+    for (const name of photoFileNames(url)) {
+      try {
+        await fs.promises.unlink(file(name));
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('[uploads] could not remove', name, e.message);
+      }
+    }
+  }
+
+  /** { usedBytes, quotaBytes (null = unlimited), remainingBytes (null = unlimited) } */
+  async function usage(userId) {
+    let usedBytes = 0;
+    for (const u of await store.uploads.list()) if (u.userId === userId) usedBytes += u.bytes || 0;
+    return {
+      usedBytes,
+      quotaBytes: quotaBytes || null,
+      remainingBytes: quotaBytes ? Math.max(0, quotaBytes - usedBytes) : null
+    };
+  }
+
+  // Check-and-charge runs one at a time per account: parallel uploads would
+  // otherwise all pass the check before any of them is in the ledger
+  const charging = new Map();   // userId -> tail of that account's queue
+  function oneAtATime(userId, task) {
+    const run = (charging.get(userId) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    charging.set(userId, tail);
+    tail.then(() => { if (charging.get(userId) === tail) charging.delete(userId); });
+    return run;
+  }
+
+  // Every stored photo URL → the record owner it would be charged to
+  async function references() {
+    const refs = new Map();
+    for (const m of await store.markers.list()) {
+      for (const p of m.photos || []) refs.set(p.url, p.userId ?? m.userId ?? null);
+    }
+    for (const arr of Object.values(await store.tips.all())) {
+      for (const t of arr) if (typeof t.photoUrl === 'string') refs.set(t.photoUrl, t.userId ?? null);
+    }
+    return refs;
+  }
+
+  return {
+    usage,
+
+    /**
+     * Charge a freshly processed upload to `userId`. Over quota → its files are
+     * deleted again and { error } comes back; otherwise { quota } (the new usage).
+     */
+    add: (userId, url) => oneAtATime(userId, async () => {
+      const bytes = await sizeOnDisk(url);
+      const before = await usage(userId);
+      if (quotaBytes && before.usedBytes + bytes > quotaBytes) {
+        await removeFiles(url);
+        return { error: `This photo needs ${formatBytes(bytes)}, but only ${formatBytes(before.remainingBytes)} of your ${formatBytes(quotaBytes)} photo storage is left` };
+      }
+      await store.uploads.create({ url, userId, bytes, uploadedAt: Date.now() });
+      return { quota: await usage(userId) };
+    }),
+
+    /** Whether a stored photo URL still has files behind it */
+    onDisk: async (url) => (await sizeOnDisk(url)) > 0,
+
+    /** Delete a photo's files and ledger entry (the caller knows nothing uses it) */
+    async discard(url) {
+      await removeFiles(url);
+      await store.uploads.remove(url);
+    },
+
+    /**
+     * Delete unreferenced files past the grace period and settle the ledger:
+     * entries whose file is gone are dropped, referenced photos without one
+     * (saved before the ledger existed) are charged to their record's owner.
+     * @returns {Promise<{ files: number, bytes: number }>} what was deleted
+     */
+    async sweep(now = Date.now()) {
+      const refs = await references();
+      const keep = new Set();
+      for (const url of refs.keys()) {
+        if (fileOf(uploadsDir, url)) photoFileNames(url).forEach(name => keep.add(name));
+      }
+
+      const removed = { files: 0, bytes: 0 };
+      for (const dir of Object.values(PHOTO_DIRS)) {
+        let names;
+        try { names = await fs.promises.readdir(path.join(uploadsDir, dir)); } catch { continue; }
+        for (const name of names) {
+          if (keep.has(name)) continue;
+          const file = path.join(uploadsDir, dir, name);
+          try {
+            const st = await fs.promises.stat(file);
+            if (!st.isFile() || now - st.mtimeMs < graceMs) continue;
+            await fs.promises.unlink(file);
+            removed.files++;
+            removed.bytes += st.size;
+          } catch (e) {
+            if (e.code !== 'ENOENT') console.warn('[uploads] could not remove', file, e.message);
+          }
+        }
+      }
+
+      const ledger = new Set();
+      for (const u of await store.uploads.list()) {
+        ledger.add(u.url);
+        if (!(await sizeOnDisk(u.url))) await store.uploads.remove(u.url);
+      }
+      for (const [url, userId] of refs) {
+        if (ledger.has(url)) continue;
+        const bytes = await sizeOnDisk(url);
+        if (bytes) await store.uploads.create({ url, userId, bytes, uploadedAt: null });
+      }
+      return removed;
+    }
+  };
+}
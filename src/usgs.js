@@ -0,0 +1,106 @@
+// src/usgs.js
+// Server-side lookups against USGS Water Services (same queries the client
+// makes for the gauge layer: stream sites with gage height, parameter 00065).
+
+// Every lookup gives up after this long, so a stalled USGS can't hold a response open.
+const USGS_TIMEOUT_MS = 8000;
+const USGS_HEADERS = { 'User-Agent': 'ElectricGavinoe/1.0 (+server)' };
+
+/**
+ * Map with a time-to-live per entry and a size cap: keys come from user input
+ * (bboxes, site numbers), so the oldest entries make room once it is full.
+ */
+function createTtlCache({ ttlMs, max }) {
+  const entries = new Map(); // key => { t, value }, oldest first
+  return {
+    get(key) {
+      const hit = entries.get(key);
+      if (!hit) return undefined;
+      if (Date.now() - hit.t >= ttlMs) {
+        entries.delete(key);
+        return undefined;
+      }
+      return hit.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { t: Date.now(), value });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    }
+  };
+}
+
+const siteCache = createTtlCache({ ttlMs: 10 * 60 * 1000, max: 500 }); // bbox key => rows
+
+// USGS rejects bounding boxes larger than 25 square degrees.
+export const USGS_MAX_BBOX_SQ_DEG = 25;
+
+function parseRdb(text) {
+  const lines = text.split('\n').filter(l => l && !l.startsWith('#'));
+  if (!lines.length) return [];
+  const header = lines.shift().split('\t');
+  lines.shift(); // column-format row ("5s 15s …")
+  return lines.map(l => {
+    const cols = l.split('\t');
+    const obj = {};
+    header.forEach((h, i) => (obj[h] = cols[i]));
+    return obj;
+  });
+}
+
+/**
+ * Active stream gauges inside [west, south, east, north].
+ * @returns {Promise<Array<{ id: string, name: string, lat: number, lon: number }>>}
+ */
+export async function fetchUsgsSitesInBbox([west, south, east, north]) {
+  const key = [west, south, east, north].map(n => n.toFixed(4)).join(',');
+  const hit = siteCache.get(key);
+  if (hit) return hit;
+
+  const u = new URL('https://waterservices.usgs.gov/nwis/site/');
+  u.searchParams.set('format', 'rdb');
+  u.searchParams.set('siteType', 'ST');
+  u.searchParams.set('siteStatus', 'active');
+  u.searchParams.set('parameterCd', '00065');
+  u.searchParams.set('bBox', [west, south, east, north].map(n => n.toFixed(7)).join(','));
+
+  const r = await fetch(u, { headers: USGS_HEADERS, signal: AbortSignal.timeout(USGS_TIMEOUT_MS) });
+  if (r.status === 404) return []; // USGS answers 404 for "no sites"
+  if (!r.ok) throw new Error(`USGS site service HTTP ${r.status}`);
+
+  const rows = parseRdb(await r.text())
+    .filter(s => /^[0-9]+$/.test(s.site_no))
+    .map(s => ({ id: s.site_no, name: s.station_nm, lat: +s.dec_lat_va, lon: +s.dec_long_va }))
+    .filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lon));
+
+  siteCache.set(key, rows);
+  return rows;
+}
+
+const oneSiteCache = createTtlCache({ ttlMs: 24 * 60 * 60 * 1000, max: 2000 }); // site id => row | null
+
+/**
+ * A single gauge by site number (search results for tips on USGS gauges need
+ * coordinates the tip itself doesn't carry).
+ * @returns {Promise<{ id: string, name: string, lat: number, lon: number } | null>}
+ */
+export async function fetchUsgsSite(siteId) {
+  const id = String(siteId ?? '');
+  if (!/^[0-9]+$/.test(id)) return null;
+  const hit = oneSiteCache.get(id);
+  if (hit !== undefined) return hit;
+
+  const u = new URL('https://waterservices.usgs.gov/nwis/site/');
+  u.searchParams.set('format', 'rdb');
+  u.searchParams.set('sites', id);
+
+  const r = await fetch(u, { headers: USGS_HEADERS, signal: AbortSignal.timeout(USGS_TIMEOUT_MS) });
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`USGS site service HTTP ${r.status}`);
+
+  const s = parseRdb(await r.text()).find(row => row.site_no === id);
+  const row = s ? { id, name: s.station_nm, lat: +s.dec_lat_va, lon: +s.dec_long_va } : null;
+  const ok = row && Number.isFinite(row.lat) && Number.isFinite(row.lon) ? row : null;
+  oneSiteCache.set(id, ok);
+  return ok;
+}